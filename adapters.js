@@ -0,0 +1,310 @@
+const http = require('http');
+const querystring = require('querystring');
+const {PassThrough} = require('stream');
+const utils = require('./utils');
+const {run, runHooks, matchRoute} = require('./inject');
+const {problemMediaType, toProblem} = require('./problem');
+
+/**
+ * Options for the framework adapters.
+ * @typedef {Object} oas.AdapterOptions
+ * @property {function(error:Error,data:(oas.Data|undefined)):(oas.Response|Promise<oas.Response>)?} onError -
+ *   Create the response for an error which was raised by an endpoint. Defaults to a problem details response.
+ * @property {oas.ProblemOptions?} problem - Options for the default problem details responses.
+ * @property {number?} bodyLimit - The maximum size of a request body in bytes, for the node:http adapter. Defaults to 1MB.
+ */
+
+/**
+ * Create the response for a request which no endpoint handles.
+ * @param url {string}
+ * @returns {oas.Response}
+ */
+function notFound(url) {
+  const problem = Object.assign(toProblem({status: 404, message: 'not found'}), {instance: url});
+  return new utils.Response(404, problem, {headers: {'Content-Type': problemMediaType}});
+}
+
+/**
+ * Run a normalized request through an endpoint and create the response to write to the framework.
+ * The endpoint is the first version of an operation; the headers select the version which handles the request.
+ * Errors which occur once the response is sent, such as response validation errors under the 'report' policy,
+ * only reach the onError hooks, as they do with spec.mount().
+ * The onResponse hooks run once the response is final, and their errors are handled like those of the endpoint.
+ * Streamed responses are written to the stream opened by the sink as they are produced, and are then already sent
+ * when this resolves.
+ * @param endpoint {oas.Endpoint}
+ * @param request {oas.InjectRequest}
+ * @param params {Object.<string,string>}
+ * @param options {oas.AdapterOptions}
+ * @param sink {oas.ResponseSink}
+ * @returns {Promise<oas.Response>}
+ */
+async function handle(endpoint, request, params, options, sink) {
+  const headers = {};
+  Object.getOwnPropertyNames(request.headers || {}).forEach(h => headers[h.toLowerCase()] = request.headers[h]);
+  endpoint = endpoint.spec.selectVersion(endpoint, headers);
+  if(endpoint === undefined) {
+    return notFound(request.url);
+  }
+  const {res, error, data} = await run(endpoint, request, params, sink);
+  if(error === 'route') {
+    return notFound(request.url);
+  }
+  let response = error !== undefined && !res.writableEnded
+    ? await errorResponse(error, data, request, options)
+    : new utils.Response(res.statusCode, res.body, {headers: res.headers});
+  if(data !== undefined) {
+    Object.assign(data.response, res.stream !== undefined ? {status: response.status} : response);
+    try {
+      await runHooks(endpoint, 'onResponse', data);
+    } catch(hookError) {
+      response = await errorResponse(hookError, data, request, options);
+    }
+  }
+  return response;
+}
+
+/**
+ * Create the response for an error which was raised by an endpoint.
+ * @param error {Error}
+ * @param data {oas.Data|undefined}
+ * @param request {oas.InjectRequest}
+ * @param options {oas.AdapterOptions}
+ * @returns {Promise<oas.Response>}
+ */
+async function errorResponse(error, data, request, options) {
+  if(options.onError) {
+    return options.onError(error, data);
+  }
+  const problem = Object.assign(toProblem(error, options.problem), {instance: request.url});
+  return new utils.Response(problem.status, problem, {headers: {'Content-Type': problemMediaType}});
+}
+
+/**
+ * Run a request through an endpoint, resolving as soon as the response starts.
+ * Streamed responses resolve with a stream to pipe to the framework, which receives the items as they are written.
+ * @param endpoint {oas.Endpoint}
+ * @param request {oas.InjectRequest}
+ * @param params {Object.<string,string>}
+ * @param options {oas.AdapterOptions}
+ * @returns {Promise<{response:oas.Response,stream:(PassThrough|undefined)}>}
+ */
+function respond(endpoint, request, params, options) {
+  return new Promise((resolve, reject) => {
+    const sink = (status, headers) => {
+      const stream = new PassThrough();
+      resolve({response: new utils.Response(status, undefined, {headers}), stream});
+      return stream;
+    };
+    handle(endpoint, request, params, options, sink).then(response => resolve({response}), reject);
+  });
+}
+
+/**
+ * Get the body of a response as it should be written to the wire, setting the content type when it is missing.
+ * @param response {oas.Response}
+ * @returns {{headers:Object.<string,string>,body:(string|Buffer|undefined)}}
+ */
+function wireResponse(response) {
+  const headers = {};
+  Object.getOwnPropertyNames(response.headers || {}).forEach(h => headers[h.toLowerCase()] = String(response.headers[h]));
+  let body = response.body;
+  if(body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+    if(headers['content-type'] === undefined) {
+      headers['content-type'] = 'application/json';
+    }
+  } else if(typeof body === 'string' && headers['content-type'] === undefined) {
+    headers['content-type'] = 'text/plain';
+  } else if(body === null) {
+    body = undefined;
+  }
+  return {headers, body};
+}
+
+/**
+ * Create a route creator which registers endpoints on a Koa router, such as @koa/router.
+ * A body parser such as koa-bodyparser must run before the routes; uploaded files are read from ctx.request.files.
+ * @param router {Object} - The Koa router.
+ * @param options {oas.AdapterOptions?}
+ * @returns {function(oas.Endpoint)}
+ */
+function koaAdapter(router, options = {}) {
+  const registered = new Set();
+  return endpoint => {
+    const path = utils.toExpressPath(endpoint.path);
+    const key = `${endpoint.method} ${path}`;
+    if(registered.has(key)) {
+      return;
+    }
+    registered.add(key);
+    router[endpoint.method](path, async ctx => {
+      const {response, stream} = await respond(endpoint, {
+        method: ctx.method,
+        url: ctx.originalUrl,
+        headers: ctx.headers,
+        body: ctx.request.body,
+        files: ctx.request.files,
+      }, ctx.params || {}, options);
+      const {headers, body} = wireResponse(response);
+      ctx.status = response.status;
+      ctx.set(headers);
+      if(stream !== undefined) {
+        ctx.body = stream;
+      } else if(body !== undefined) {
+        ctx.body = body;
+      }
+    });
+  };
+}
+
+/**
+ * Create a route creator which registers endpoints on a Fastify instance.
+ * Fastify parses JSON bodies by default; uploaded files are read from request.files.
+ * @param fastify {Object} - The Fastify instance.
+ * @param options {oas.AdapterOptions?}
+ * @returns {function(oas.Endpoint)}
+ */
+function fastifyAdapter(fastify, options = {}) {
+  const registered = new Set();
+  return endpoint => {
+    // A literal colon is written as '::' in fastify paths.
+    const path = utils.toExpressPath(endpoint.path.replace(/:/g, '::'));
+    const key = `${endpoint.method} ${path}`;
+    if(registered.has(key)) {
+      return;
+    }
+    registered.add(key);
+    fastify.route({
+      method: endpoint.method.toUpperCase(),
+      url: path,
+      handler: async (request, reply) => {
+        const {response, stream} = await respond(endpoint, {
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: request.body,
+          files: request.files,
+        }, request.params || {}, options);
+        const {headers, body} = wireResponse(response);
+        return reply.code(response.status).headers(headers).send(stream !== undefined ? stream : body);
+      },
+    });
+  };
+}
+
+/**
+ * Read and parse the body of a node:http request.
+ * JSON, text, and url encoded bodies are parsed; other bodies are left as a Buffer.
+ * Bodies which are larger than the limit are rejected with a 413 status, and the rest of the body is discarded,
+ * so that the response can still be sent.
+ * @param req {http.IncomingMessage}
+ * @param limit {number}
+ * @returns {Promise<*>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if(size > limit) {
+        reject({status: 413, message: `request body is larger than ${limit} bytes`});
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if(size > limit) {
+        return;
+      }
+      if(chunks.length === 0) {
+        return resolve(undefined);
+      }
+      const raw = Buffer.concat(chunks);
+      const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if(contentType === 'application/json' || contentType.endsWith('+json')) {
+        try {
+          resolve(JSON.parse(raw.toString()));
+        } catch(error) {
+          reject({status: 400, message: `request body is not valid JSON: ${error.message}`});
+        }
+      } else if(contentType === 'application/x-www-form-urlencoded') {
+        resolve(Object.assign({}, querystring.parse(raw.toString())));
+      } else if(contentType.startsWith('text/')) {
+        resolve(raw.toString());
+      } else {
+        resolve(raw);
+      }
+    });
+  });
+}
+
+/**
+ * Create a route creator and a request listener for a plain node:http server.
+ * Pass the route creator to the OpenAPI constructor, and the listener to http.createServer().
+ * Streamed responses are written to the server response as they are produced.
+ * The connection is closed once the response to a request with a body over the limit is sent.
+ * @param options {oas.AdapterOptions?}
+ * @returns {{routeCreator:function(oas.Endpoint),listener:function(req:http.IncomingMessage,res:http.ServerResponse):Promise}}
+ */
+function nodeAdapter(options = {}) {
+  const endpoints = [];
+  const limit = options.bodyLimit || 1024 * 1024;
+  return {
+    routeCreator: endpoint => {
+      endpoints.push(endpoint);
+    },
+    listener: async (req, res) => {
+      const sink = (status, headers) => {
+        res.writeHead(status, http.STATUS_CODES[status], headers);
+        return res;
+      };
+      try {
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const route = matchRoute(endpoints, req.method, path, req.headers);
+        let response;
+        if(route === undefined) {
+          response = notFound(req.url);
+        } else {
+          try {
+            const body = await readBody(req, limit);
+            response = await handle(route.endpoint, {
+              method: req.method,
+              url: req.url,
+              headers: req.headers,
+              body,
+            }, route.params, options, sink);
+          } catch(error) {
+            const problem = Object.assign(toProblem(error, options.problem), {instance: req.url});
+            response = new utils.Response(problem.status, problem, {headers: {'Content-Type': problemMediaType}});
+            if(error.status === 413) {
+              response.headers['Connection'] = 'close';
+            }
+          }
+        }
+        if(res.headersSent) {
+          return;
+        }
+        const {headers, body} = wireResponse(response);
+        res.writeHead(response.status, http.STATUS_CODES[response.status], headers);
+        res.end(body);
+      } catch(error) {
+        if(res.headersSent) {
+          res.destroy();
+          return;
+        }
+        const problem = Object.assign(toProblem(error, options.problem), {instance: req.url});
+        res.writeHead(problem.status, http.STATUS_CODES[problem.status], {'content-type': problemMediaType});
+        res.end(JSON.stringify(problem));
+      }
+    },
+  };
+}
+
+module.exports = {
+  koaAdapter,
+  fastifyAdapter,
+  nodeAdapter,
+};
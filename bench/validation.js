@@ -0,0 +1,75 @@
+// Compares the throughput of request and response validation with and without the validators of the endpoints,
+// whose schemas have their references resolved.
+// Usage: node bench/validation.js [iterations]
+const {OpenAPI, ref, arrayOf} = require('..');
+
+const iterations = Number(process.argv[2]) || 5000;
+
+const schemas = {
+  Address: {
+    type: 'object',
+    required: ['street', 'city'],
+    properties: {
+      street: {type: 'string', maxLength: 100},
+      city: {type: 'string'},
+      zip: {type: 'string', pattern: '^[0-9]{5}$'},
+    },
+    additionalProperties: false,
+  },
+  Customer: {
+    type: 'object',
+    required: ['id', 'name', 'addresses'],
+    properties: {
+      id: {type: 'integer', minimum: 1},
+      name: {type: 'string', minLength: 1},
+      email: {type: 'string', format: 'email'},
+      tier: {enum: ['bronze', 'silver', 'gold']},
+      addresses: arrayOf(ref('Address')),
+      tags: arrayOf({type: 'string'}),
+    },
+  },
+};
+
+function createApi(compileValidators) {
+  const api = new OpenAPI('Benchmark', 'Validation benchmark', 'http://localhost', '1.0.0', schemas, [], () => {});
+  api.compileValidators = compileValidators;
+  api.newEndpoint('putCustomer', 'put', '/customers/{id}', 'Replace a customer', '', [])
+    .parameter('path', 'id', 'The customer id', true, {type: 'integer'})
+    .parameter('query', 'notify', 'Notify the customer', false, {type: 'boolean'})
+    .requestBody('The customer', true, ref('Customer'))
+    .response(200, 'The customer', ref('Customer'))
+    .define(async data => data.body);
+  return api;
+}
+
+const body = {
+  id: 1,
+  name: 'Jane',
+  email: 'jane@example.com',
+  tier: 'gold',
+  addresses: [{street: '1 Main St', city: 'Springfield', zip: '12345'}, {street: '2 Side St', city: 'Shelbyville'}],
+  tags: ['a', 'b', 'c'],
+};
+
+async function run(compileValidators) {
+  const api = createApi(compileValidators);
+  const request = {method: 'put', url: '/customers/1?notify=true', body};
+  const {error} = await api.inject(request);
+  if(error !== undefined) {
+    throw error;
+  }
+  const start = process.hrtime.bigint();
+  for(let i = 0; i < iterations; i++) {
+    await api.inject(request);
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  return iterations / seconds;
+}
+
+(async () => {
+  const shared = await run(false);
+  const resolved = await run(true);
+  console.log(`iterations: ${iterations}`);
+  console.log(`shared:     ${shared.toFixed(0)} requests/s`);
+  console.log(`resolved:   ${resolved.toFixed(0)} requests/s (${(resolved / shared).toFixed(2)}x)`);
+})();
@@ -0,0 +1,132 @@
+const utils = require('./utils');
+const client = require('./client');
+const Endpoint = require('./endpoint');
+
+/**
+ * Evaluate a runtime expression against the data of a request, as used by the urls of callbacks.
+ * Supports $url, $method, $request.path.{name}, $request.query.{name}, $request.header.{name} and $request.body#{pointer}.
+ * @param expression {string} - Such as $request.body#/callbackUrl
+ * @param data {oas.Data}
+ * @returns {*}
+ */
+function evaluateExpression(expression, data) {
+  if(expression === '$url') {
+    return new URL(data.req.originalUrl || data.req.url, `${data.req.protocol || 'http'}://${data.req.get('host') || 'localhost'}`).href;
+  }
+  if(expression === '$method') {
+    return data.req.method.toUpperCase();
+  }
+  const [source, pointer] = expression.split('#');
+  if(source === '$request.body') {
+    return (pointer || '').split('/').slice(1)
+      .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((value, token) => value === undefined || value === null ? undefined : value[token], data.body);
+  }
+  const match = /^\$request\.(path|query|header)\.(.+)$/.exec(source);
+  if(match === null) {
+    throw new Error(`unsupported runtime expression: ${expression}`);
+  }
+  const [, location, name] = match;
+  if(location === 'path') {
+    return data.params[name] !== undefined ? data.params[name] : data.req.params[name];
+  }
+  if(location === 'query') {
+    return data.query[name] !== undefined ? data.query[name] : data.req.query[name];
+  }
+  return data.req.get(name);
+}
+
+/**
+ * See {@link oas.Callback.constructor}
+ * @memberOf oas
+ */
+class Callback extends Endpoint {
+  /**
+   * A request which the API sends to another server, documented as a callback of an endpoint or as a webhook of the spec.
+   * It is built with the same builders as an endpoint, but it is not served, and it is not one of spec.endpoints.
+   * Use endpoint.callback() or spec.webhook() to create callbacks.
+   * @param spec {oas.OpenAPI}
+   * @param operationId {string}
+   * @param method {string}
+   * @param path {string} - The runtime expression for the url of a callback, or the name of a webhook.
+   * @param summary {string}
+   * @param description {string}
+   * @param tags {string[]}
+   * @param pathItem {Object} - The path item to document the callback in, once it is defined.
+   */
+  constructor(spec, operationId, method, path, summary, description, tags, pathItem) {
+    super(spec, operationId, method, path, summary, description, tags);
+
+    /** @private */
+    this._pathItem = pathItem;
+  }
+
+  /** @private */
+  _register() {
+  }
+
+  /**
+   * Document the callback, and build the schemas which its requests are validated against.
+   * @returns {oas.Callback}
+   */
+  define() {
+    this._buildSchemas();
+    this._pathItem[this.method] = this.doc;
+    return this;
+  }
+
+  /**
+   * Get the url of a callback by evaluating its runtime expressions against the request to its endpoint.
+   * Only the braces which hold runtime expressions, starting with $, are evaluated. Braces which name path parameters
+   * of the callback, such as {id}, are left for send() to fill in.
+   * @param data {oas.Data} - The data of the request to the endpoint of the callback.
+   * @returns {string}
+   */
+  url(data) {
+    return this.path.replace(/{(\$[^}]+)}/g, (m, expression) => String(evaluateExpression(expression, data)));
+  }
+
+  /**
+   * Validate a request against the documentation of this callback, and send it.
+   * The request is validated using spec.validate(), so x-validator functions are run as they are for incoming requests,
+   * and an oas.JSONValidationError is thrown instead of sending an invalid request.
+   * Parameters are serialized using their documented styles, and the body using the chosen media type.
+   * @param url {string} - The url to send the request to, such as callback.url(data). Path parameters are filled in.
+   * @param args {oas.ClientRequest?}
+   * @param options {Object?}
+   * @param options.transport {function(url:string, init:Object):Promise<Response>?} - Defaults to spec.webhookTransport.
+   * @param options.headers {Object.<string,string>?} - Headers to send with the request, such as a signature.
+   * @param options.validateResponse {boolean?} - Validate the response against the documented responses.
+   * @returns {Promise<oas.Response>}
+   */
+  async send(url, args = {}, options = {}) {
+    const mediaTypes = Object.keys(this._bodyContent);
+    const contentType = args.contentType || mediaTypes[0];
+    const mediaType = contentType !== undefined ? utils.matchMediaType(contentType, mediaTypes) : undefined;
+    if(args.body !== undefined && mediaTypes.length && mediaType === undefined) {
+      throw new utils.UnsupportedMediaTypeError(this, contentType, mediaTypes);
+    }
+    const instance = {
+      query: args.query || {},
+      params: args.params || {},
+      headers: args.headers || {},
+      cookies: args.cookies || {},
+      body: args.body,
+    };
+    const result = await this.spec.validate(instance, this._requestSchema(mediaType), await this.spec.validatorOptions(this));
+    if(!result.valid) {
+      throw utils.JSONValidationError.FromValidatorResult(this, 'request', result);
+    }
+    const transport = options.transport || this.spec.webhookTransport || (typeof fetch === 'function' ? fetch : undefined);
+    if(typeof transport !== 'function') {
+      throw new Error('a transport must be supplied when the global fetch is not available');
+    }
+    return client.request(this, args, '', {
+      fetch: transport,
+      headers: options.headers,
+      validateResponses: options.validateResponse,
+    }, url);
+  }
+}
+
+module.exports = Callback;
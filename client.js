@@ -0,0 +1,182 @@
+const utils = require('./utils');
+
+/**
+ * Serialize a request body for the given media type.
+ * @param body {*}
+ * @param mediaType {string}
+ * @returns {string|URLSearchParams|FormData|*}
+ */
+function serializeBody(body, mediaType) {
+  const essence = mediaType.split(';')[0].trim().toLowerCase();
+  const stringify = v => typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v);
+  if(essence === 'application/json' || essence.endsWith('+json')) {
+    return JSON.stringify(body);
+  }
+  if(essence === 'application/x-www-form-urlencoded') {
+    const form = new URLSearchParams();
+    Object.getOwnPropertyNames(body || {}).filter(k => body[k] !== undefined).forEach(k =>
+      (body[k] instanceof Array ? body[k] : [body[k]]).forEach(v => form.append(k, stringify(v))));
+    return form;
+  }
+  if(essence === 'multipart/form-data') {
+    const form = new FormData();
+    Object.getOwnPropertyNames(body || {}).filter(k => body[k] !== undefined).forEach(k =>
+      (body[k] instanceof Array ? body[k] : [body[k]]).forEach(v => {
+        if(v instanceof Blob) {
+          form.append(k, v);
+        } else if(v instanceof Uint8Array) {
+          form.append(k, new Blob([v]), k);
+        } else {
+          form.append(k, stringify(v));
+        }
+      }));
+    return form;
+  }
+  if(essence.startsWith('text/')) {
+    return String(body);
+  }
+  return body;
+}
+
+/**
+ * Read the body of a fetch response based on its Content-Type.
+ * @param res {Response} - A fetch response.
+ * @returns {Promise<*>}
+ */
+async function parseBody(res) {
+  const contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if(contentType === 'application/json' || contentType.endsWith('+json')) {
+    const text = await res.text();
+    return text ? JSON.parse(text) : undefined;
+  }
+  if(contentType.startsWith('text/')) {
+    return res.text();
+  }
+  const buffer = Buffer.from(await res.arrayBuffer());
+  return buffer.length ? buffer : undefined;
+}
+
+/**
+ * Send a request to an endpoint.
+ * @param endpoint {oas.Endpoint}
+ * @param args {oas.ClientRequest}
+ * @param baseUrl {string}
+ * @param options {Object}
+ * @param path {string?} - The path to send the request to, after the base url. Defaults to the path of the endpoint.
+ * @returns {Promise<oas.Response>}
+ */
+async function request(endpoint, args, baseUrl, options, path = endpoint.path) {
+  const query = args.query || {};
+  const params = args.params || {};
+  const headers = args.headers || {};
+  const cookies = args.cookies || {};
+  const body = args.body;
+  const mediaTypes = Object.keys(endpoint._bodyContent);
+  const contentType = args.contentType || mediaTypes[0];
+
+  if(options.validateRequests) {
+    const mediaType = contentType !== undefined ? utils.matchMediaType(contentType, mediaTypes) : undefined;
+    if(body !== undefined && mediaTypes.length && mediaType === undefined) {
+      throw new utils.UnsupportedMediaTypeError(endpoint, contentType, mediaTypes);
+    }
+    const error = await endpoint.validateRequest({query, params, headers, cookies, body}, mediaType);
+    if(error !== undefined) {
+      throw error;
+    }
+  }
+
+  endpoint._params.forEach(p => {
+    const value = params[p.doc.name];
+    path = path.replace(`{${p.doc.name}}`, value === undefined ? '' : utils.serializeParam(p, value));
+  });
+
+  const search = new URLSearchParams();
+  Object.getOwnPropertyNames(query).filter(n => query[n] !== undefined).forEach(n => {
+    const param = endpoint._query.find(p => p.doc.name === n);
+    const pairs = param !== undefined ? utils.serializeParam(param, query[n]) : [[n, String(query[n])]];
+    pairs.forEach(([k, v]) => search.append(k, v));
+  });
+
+  const requestHeaders = Object.assign({}, options.headers, endpoint.versionHeaders());
+  Object.getOwnPropertyNames(headers).filter(n => headers[n] !== undefined).forEach(n => {
+    const param = endpoint._headers.find(p => p.doc.name === n);
+    requestHeaders[n] = param !== undefined ? utils.serializeParam(param, headers[n]) : String(headers[n]);
+  });
+
+  const cookiePairs = Object.getOwnPropertyNames(cookies).filter(n => cookies[n] !== undefined).map(n => {
+    const param = endpoint._cookies.find(p => p.doc.name === n);
+    return `${n}=${param !== undefined ? utils.serializeParam(param, cookies[n]) : encodeURIComponent(String(cookies[n]))}`;
+  });
+  if(cookiePairs.length) {
+    requestHeaders['Cookie'] = cookiePairs.join('; ');
+  }
+
+  let requestBody;
+  if(body !== undefined) {
+    requestBody = serializeBody(body, contentType || 'application/json');
+    if(!(requestBody instanceof FormData)) {
+      requestHeaders['Content-Type'] = contentType || 'application/json';
+    }
+  }
+
+  const queryString = search.toString();
+  const url = `${baseUrl.replace(/\/+$/, '')}${path}${queryString ? `?${queryString}` : ''}`;
+  const res = await options.fetch(url, {
+    method: endpoint.method.toUpperCase(),
+    headers: requestHeaders,
+    body: requestBody,
+  });
+
+  const responseHeaders = {};
+  res.headers.forEach((value, name) => responseHeaders[name] = value);
+  const response = new utils.Response(res.status, await parseBody(res), {headers: responseHeaders});
+
+  if(options.validateResponses) {
+    const error = await endpoint.validateResponse(response);
+    if(error !== undefined) {
+      throw error;
+    }
+  }
+  return response;
+}
+
+/**
+ * Arguments for a request made by a client method.
+ * @typedef {Object} oas.ClientRequest
+ * @property {Object.<string,*>?} query
+ * @property {Object.<string,*>?} params - Path parameters.
+ * @property {Object.<string,*>?} headers
+ * @property {Object.<string,*>?} cookies
+ * @property {*?} body
+ * @property {string?} contentType - The media type to send the body as. Defaults to the first documented media type.
+ */
+
+module.exports = {
+  request,
+
+  /**
+   * Create a client with one method for each endpoint in the spec, mapped from operationIds.
+   * Parameters are serialized using their documented styles, and bodies using the chosen media type.
+   * Each method resolves to an oas.Response, or rejects with an oas.JSONValidationError when validation is enabled and fails.
+   * @param spec {oas.OpenAPI}
+   * @param baseUrl {string}
+   * @param options {Object?}
+   * @param options.fetch {function(url:string, init:Object):Promise<Response>?} - The transport to use. Defaults to the global fetch.
+   * @param options.headers {Object.<string,string>?} - Headers to send with every request, such as Authorization.
+   * @param options.validateRequests {boolean?} - Validate requests against the spec before sending them.
+   * @param options.validateResponses {boolean?} - Validate responses against the spec after receiving them.
+   * @returns {Object.<string,function(args:oas.ClientRequest?):Promise<oas.Response>>}
+   */
+  createClient: (spec, baseUrl, options = {}) => {
+    options = Object.assign({fetch: typeof fetch === 'function' ? fetch : undefined}, options);
+    if(typeof options.fetch !== 'function') {
+      throw new Error('a fetch function must be supplied when the global fetch is not available');
+    }
+    const client = {};
+    Object.getOwnPropertyNames(spec.endpoints).forEach(id => {
+      const endpoint = spec.endpoints[id];
+      client[endpoint.doc.operationId] = (args = {}) => request(endpoint, args, baseUrl, options);
+    });
+    return client;
+  },
+};
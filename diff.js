@@ -0,0 +1,498 @@
+const utils = require('./utils');
+
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * A difference between two specifications.
+ * @typedef {Object} oas.SpecChange
+ * @property {string} kind - A stable identifier for the kind of change, such as 'operation-removed' or 'enum-narrowed'.
+ * @property {boolean} breaking - True if clients of the previous specification may fail against the new one.
+ * @property {string} operation - The operation which changed, as 'METHOD /path'.
+ * @property {string} location - Where in the operation the change occurred, such as 'response 200 body.items.name'.
+ * @property {string} message
+ */
+
+/**
+ * The result of comparing two specifications.
+ * @typedef {Object} oas.SpecDiff
+ * @property {boolean} hasBreakingChanges
+ * @property {oas.SpecChange[]} breaking
+ * @property {oas.SpecChange[]} nonBreaking
+ */
+
+/**
+ * Get the types allowed by a schema, including 'null' for nullable schemas.
+ * Returns undefined when the schema does not restrict the type.
+ * @param schema {Object}
+ * @returns {string[]|undefined}
+ */
+function schemaTypes(schema) {
+  if(schema.type === undefined) {
+    return;
+  }
+  const types = schema.type instanceof Array ? schema.type.slice() : [schema.type];
+  if(schema.nullable === true && !types.includes('null')) {
+    types.push('null');
+  }
+  return types;
+}
+
+/**
+ * Resolve references and unwrap the allOf/nullable form used for nullable schemas in Open API 3.0 documents.
+ * @param doc {Object}
+ * @param schema {Object|undefined}
+ * @returns {Object}
+ */
+function normalize(doc, schema) {
+  schema = utils.resolveRef(doc, schema) || {};
+  if(schema.allOf instanceof Array && schema.allOf.length === 2 && schema.allOf[1] && schema.allOf[1].nullable === true) {
+    const inner = normalize(doc, schema.allOf[0]);
+    const rest = Object.assign({}, schema);
+    delete rest.allOf;
+    return Object.assign({}, rest, inner, {nullable: true, type: inner.type});
+  }
+  return schema;
+}
+
+/**
+ * Checks whether every type in 'types' is allowed by 'allowed'. Integers are allowed by numbers.
+ * @param types {string[]}
+ * @param allowed {string[]}
+ * @returns {boolean}
+ */
+function typesAllowed(types, allowed) {
+  return types.every(t => allowed.includes(t) || (t === 'integer' && allowed.includes('number')));
+}
+
+/**
+ * Collects the changes between two documents.
+ */
+class Differ {
+  /**
+   * @param before {Object} - The previous document.
+   * @param after {Object} - The new document.
+   */
+  constructor(before, after) {
+    this.before = before;
+    this.after = after;
+    /** @type {oas.SpecChange[]} */
+    this.changes = [];
+  }
+
+  /**
+   * @param kind {string}
+   * @param breaking {boolean}
+   * @param operation {string}
+   * @param location {string}
+   * @param message {string}
+   */
+  add(kind, breaking, operation, location, message) {
+    this.changes.push({kind, breaking, operation, location, message});
+  }
+
+  /**
+   * Compare the operations of both documents.
+   */
+  operations() {
+    const collect = doc => {
+      const operations = {};
+      Object.getOwnPropertyNames(doc.paths || {}).forEach(path => {
+        const pathItem = utils.resolveRef(doc, doc.paths[path]);
+        methods.filter(m => pathItem[m] !== undefined).forEach(m => {
+          operations[`${m} ${path.replace(/{[^}]*}/g, '{}')}`] = {
+            name: `${m.toUpperCase()} ${path}`,
+            pathItem,
+            operation: pathItem[m],
+          };
+        });
+      });
+      return operations;
+    };
+    const before = collect(this.before);
+    const after = collect(this.after);
+    Object.getOwnPropertyNames(before).forEach(k => {
+      if(after[k] === undefined) {
+        this.add('operation-removed', true, before[k].name, '', 'operation was removed');
+      } else {
+        this.operation(before[k], after[k]);
+      }
+    });
+    Object.getOwnPropertyNames(after).filter(k => before[k] === undefined).forEach(k =>
+      this.add('operation-added', false, after[k].name, '', 'operation was added'));
+  }
+
+  /**
+   * Compare a single operation.
+   * @param a {{name:string,pathItem:Object,operation:Object}}
+   * @param b {{name:string,pathItem:Object,operation:Object}}
+   */
+  operation(a, b) {
+    const name = b.name;
+    if(!a.operation.deprecated && b.operation.deprecated) {
+      this.add('operation-deprecated', false, name, '', 'operation was deprecated');
+    }
+    if(a.operation.operationId !== b.operation.operationId) {
+      this.add('operation-id-changed', false, name, '',
+        `operationId changed from ${a.operation.operationId} to ${b.operation.operationId}`);
+    }
+
+    const securityA = a.operation.security || this.before.security || [];
+    const securityB = b.operation.security || this.after.security || [];
+    const anonymous = security => security.length === 0 || security.some(r => Object.keys(r).length === 0);
+    if(anonymous(securityA) && !anonymous(securityB)) {
+      this.add('security-added', true, name, 'security', 'operation now requires authentication');
+    } else if(JSON.stringify(securityA) !== JSON.stringify(securityB)) {
+      const breaking = securityA.some(ra => !securityB.some(r => JSON.stringify(ra) === JSON.stringify(r)));
+      this.add('security-changed', breaking, name, 'security', 'security requirements changed');
+    }
+
+    this.parameters(name, a, b);
+    this.requestBody(name, a.operation.requestBody, b.operation.requestBody);
+    this.responses(name, a.operation.responses || {}, b.operation.responses || {});
+  }
+
+  /**
+   * @param name {string}
+   * @param a {{pathItem:Object,operation:Object}}
+   * @param b {{pathItem:Object,operation:Object}}
+   */
+  parameters(name, a, b) {
+    const collect = (doc, o) => {
+      // path parameters are matched by their position in the path, so that renaming them is not a change
+      const pathNames = (o.name.match(/{[^}]*}/g) || []).map(n => n.slice(1, n.length - 1));
+      const parameters = {};
+      const all = (o.pathItem.parameters || []).concat(o.operation.parameters || []);
+      all.map(p => utils.resolveRef(doc, p)).forEach(p => {
+        const id = p.in === 'header' ? p.name.toLowerCase() : p.in === 'path' ? pathNames.indexOf(p.name) : p.name;
+        parameters[`${p.in} ${id}`] = p;
+      });
+      return parameters;
+    };
+    const before = collect(this.before, a);
+    const after = collect(this.after, b);
+    Object.getOwnPropertyNames(after).forEach(k => {
+      const p = after[k];
+      const location = `${p.in} parameter ${p.name}`;
+      const previous = before[k];
+      if(previous === undefined) {
+        this.add(p.required ? 'required-parameter-added' : 'parameter-added', !!p.required, name, location,
+          `${p.required ? 'required' : 'optional'} parameter was added`);
+        return;
+      }
+      if(!previous.required && p.required) {
+        this.add('parameter-became-required', true, name, location, 'parameter became required');
+      } else if(previous.required && !p.required) {
+        this.add('parameter-became-optional', false, name, location, 'parameter became optional');
+      }
+      if((previous.style || '') !== (p.style || '') || (previous.explode !== p.explode)) {
+        this.add('parameter-serialization-changed', true, name, location, 'parameter style or explode changed');
+      }
+      this.schema(name, location, previous.schema, p.schema, 'request');
+    });
+    Object.getOwnPropertyNames(before).filter(k => after[k] === undefined).forEach(k => {
+      const p = before[k];
+      this.add('parameter-removed', false, name, `${p.in} parameter ${p.name}`, 'parameter was removed');
+    });
+  }
+
+  /**
+   * @param name {string}
+   * @param a {Object|undefined}
+   * @param b {Object|undefined}
+   */
+  requestBody(name, a, b) {
+    a = utils.resolveRef(this.before, a);
+    b = utils.resolveRef(this.after, b);
+    if(a === undefined && b === undefined) {
+      return;
+    }
+    if(a === undefined) {
+      this.add(b.required ? 'required-request-body-added' : 'request-body-added', !!b.required, name, 'request body',
+        `${b.required ? 'required' : 'optional'} request body was added`);
+      return;
+    }
+    if(b === undefined) {
+      this.add('request-body-removed', false, name, 'request body', 'request body was removed');
+      return;
+    }
+    if(!a.required && b.required) {
+      this.add('request-body-became-required', true, name, 'request body', 'request body became required');
+    }
+    this.content(name, 'request body', a.content || {}, b.content || {}, 'request');
+  }
+
+  /**
+   * @param name {string}
+   * @param a {Object}
+   * @param b {Object}
+   */
+  responses(name, a, b) {
+    Object.getOwnPropertyNames(a).forEach(code => {
+      const location = `response ${code}`;
+      if(b[code] === undefined) {
+        this.add('response-removed', true, name, location, `status code ${code} was removed`);
+        return;
+      }
+      const responseA = utils.resolveRef(this.before, a[code]);
+      const responseB = utils.resolveRef(this.after, b[code]);
+      this.content(name, location, responseA.content || {}, responseB.content || {}, 'response');
+
+      const headersA = responseA.headers || {};
+      const headersB = responseB.headers || {};
+      Object.getOwnPropertyNames(headersA).forEach(h => {
+        const headerA = utils.resolveRef(this.before, headersA[h]);
+        const headerB = utils.resolveRef(this.after, headersB[h]);
+        if(headerB === undefined) {
+          this.add('response-header-removed', true, name, `${location} header ${h}`, 'response header was removed');
+          return;
+        }
+        if(headerA.required && !headerB.required) {
+          this.add('response-header-became-optional', true, name, `${location} header ${h}`, 'response header became optional');
+        }
+        this.schema(name, `${location} header ${h}`, headerA.schema, headerB.schema, 'response');
+      });
+      Object.getOwnPropertyNames(headersB).filter(h => headersA[h] === undefined).forEach(h =>
+        this.add('response-header-added', false, name, `${location} header ${h}`, 'response header was added'));
+    });
+    Object.getOwnPropertyNames(b).filter(code => a[code] === undefined).forEach(code =>
+      this.add('response-added', false, name, `response ${code}`, `status code ${code} was added`));
+  }
+
+  /**
+   * Compare the media types of a request body or response.
+   * @param name {string}
+   * @param location {string}
+   * @param a {Object.<string,Object>}
+   * @param b {Object.<string,Object>}
+   * @param direction {string} - 'request' or 'response'
+   */
+  content(name, location, a, b, direction) {
+    Object.getOwnPropertyNames(a).forEach(mediaType => {
+      if(b[mediaType] === undefined) {
+        this.add('media-type-removed', direction === 'request', name, `${location} ${mediaType}`,
+          `media type ${mediaType} was removed`);
+        return;
+      }
+      this.schema(name, `${location} body`, a[mediaType].schema, b[mediaType].schema, direction);
+    });
+    // clients only receive the media types which they accept, so adding one is not breaking in either direction
+    Object.getOwnPropertyNames(b).filter(t => a[t] === undefined).forEach(mediaType => {
+      this.add('media-type-added', false, name, `${location} ${mediaType}`, `media type ${mediaType} was added`);
+    });
+  }
+
+  /**
+   * Compare two schemas.
+   * In requests, narrowing what is accepted is breaking. In responses, widening what may be returned is breaking.
+   * @param name {string}
+   * @param location {string}
+   * @param a {Object|undefined}
+   * @param b {Object|undefined}
+   * @param direction {string} - 'request' or 'response'
+   * @param seen {Set<string>?} - Pairs of references which have already been compared, to stop recursive schemas.
+   */
+  schema(name, location, a, b, direction, seen = new Set()) {
+    if(a === undefined || b === undefined) {
+      if(a !== undefined || b !== undefined) {
+        this.add('schema-changed', direction === 'request' ? b !== undefined : a !== undefined, name, location,
+          `schema was ${a === undefined ? 'added' : 'removed'}`);
+      }
+      return;
+    }
+    const pair = `${a.$ref || ''}|${b.$ref || ''}`;
+    if(a.$ref !== undefined && b.$ref !== undefined) {
+      if(seen.has(pair)) {
+        return;
+      }
+      seen = new Set(seen).add(pair);
+    }
+    a = normalize(this.before, a);
+    b = normalize(this.after, b);
+    const request = direction === 'request';
+
+    const typesA = schemaTypes(a);
+    const typesB = schemaTypes(b);
+    if(typesA !== undefined || typesB !== undefined) {
+      if(typesA === undefined || typesB === undefined) {
+        if(request ? typesB !== undefined : typesA !== undefined) {
+          this.add('type-changed', true, name, location, `type changed to ${typesB ? typesB.join('|') : 'any'}`);
+        }
+      } else if(JSON.stringify(typesA.slice().sort()) !== JSON.stringify(typesB.slice().sort())) {
+        const breaking = request ? !typesAllowed(typesA, typesB) : !typesAllowed(typesB, typesA);
+        const nullable = typesA.includes('null') !== typesB.includes('null')
+          && JSON.stringify(typesA.filter(t => t !== 'null').sort()) === JSON.stringify(typesB.filter(t => t !== 'null').sort());
+        this.add(nullable ? 'nullable-changed' : 'type-changed', breaking, name, location,
+          `type changed from ${typesA.join('|')} to ${typesB.join('|')}`);
+      }
+    }
+
+    const enumA = a.const !== undefined ? [a.const] : a.enum;
+    const enumB = b.const !== undefined ? [b.const] : b.enum;
+    if(enumA instanceof Array || enumB instanceof Array) {
+      const key = v => JSON.stringify(v);
+      const removed = enumA instanceof Array && enumB instanceof Array
+        ? enumA.filter(v => !enumB.some(w => key(w) === key(v))) : [];
+      const added = enumA instanceof Array && enumB instanceof Array
+        ? enumB.filter(v => !enumA.some(w => key(w) === key(v))) : [];
+      if(!(enumA instanceof Array)) {
+        this.add('enum-added', request, name, location, 'values were restricted to an enum');
+      } else if(!(enumB instanceof Array)) {
+        this.add('enum-removed', !request, name, location, 'values are no longer restricted to an enum');
+      } else {
+        if(removed.length) {
+          this.add('enum-narrowed', request, name, location, `enum values were removed: ${removed.map(key).join(', ')}`);
+        }
+        if(added.length) {
+          this.add('enum-widened', !request, name, location, `enum values were added: ${added.map(key).join(', ')}`);
+        }
+      }
+    }
+
+    if(a.format !== b.format) {
+      this.add('format-changed', request ? b.format !== undefined : a.format !== undefined, name, location,
+        `format changed from ${a.format || 'none'} to ${b.format || 'none'}`);
+    }
+    this.constraints(name, location, a, b, request);
+
+    const propertiesA = a.properties || {};
+    const propertiesB = b.properties || {};
+    const requiredA = a.required || [];
+    const requiredB = b.required || [];
+    Object.getOwnPropertyNames(propertiesA).forEach(p => {
+      const at = `${location}.${p}`;
+      if(propertiesB[p] === undefined) {
+        const breaking = request ? b.additionalProperties === false : true;
+        this.add('property-removed', breaking, name, at, 'property was removed');
+        return;
+      }
+      if(request && !requiredA.includes(p) && requiredB.includes(p)) {
+        this.add('property-became-required', true, name, at, 'property became required');
+      }
+      if(!request && requiredA.includes(p) && !requiredB.includes(p)) {
+        this.add('property-became-optional', true, name, at, 'property is no longer always returned');
+      }
+      this.schema(name, at, propertiesA[p], propertiesB[p], direction, seen);
+    });
+    Object.getOwnPropertyNames(propertiesB).filter(p => propertiesA[p] === undefined).forEach(p => {
+      const required = requiredB.includes(p);
+      this.add(required && request ? 'required-property-added' : 'property-added', required && request, name,
+        `${location}.${p}`, `${required ? 'required' : 'optional'} property was added`);
+    });
+
+    if(a.items !== undefined && b.items !== undefined && !(a.items instanceof Array) && !(b.items instanceof Array)) {
+      this.schema(name, `${location}.items`, a.items, b.items, direction, seen);
+    }
+    if(a.additionalProperties !== false && b.additionalProperties === false && request) {
+      this.add('additional-properties-disallowed', true, name, location, 'additional properties are no longer allowed');
+    }
+    ['allOf', 'anyOf', 'oneOf'].forEach(k => this.composition(name, location, k, a[k], b[k], direction, seen));
+  }
+
+  /**
+   * Compare the subschemas of a composition keyword of two schemas.
+   * Subschemas which are references are paired by their reference, and other subschemas by their position.
+   * Adding a subschema to allOf narrows the schema, while adding one to anyOf or oneOf widens it.
+   * @param name {string}
+   * @param location {string}
+   * @param keyword {string} - One of {allOf, anyOf, oneOf}
+   * @param a {Object[]|undefined}
+   * @param b {Object[]|undefined}
+   * @param direction {string} - 'request' or 'response'
+   * @param seen {Set<string>}
+   */
+  composition(name, location, keyword, a, b, direction, seen) {
+    const request = direction === 'request';
+    if(!(a instanceof Array) && !(b instanceof Array)) {
+      return;
+    }
+    if(!(a instanceof Array) || !(b instanceof Array)) {
+      this.add(a instanceof Array ? 'composition-removed' : 'composition-added', request === !(a instanceof Array), name,
+        location, `${keyword} was ${a instanceof Array ? 'removed' : 'added'}`);
+      return;
+    }
+    const narrows = keyword === 'allOf';
+    const paired = new Set();
+    a.forEach((subschema, i) => {
+      const j = subschema && subschema.$ref !== undefined
+        ? b.findIndex(s => s && s.$ref === subschema.$ref)
+        : (b[i] && b[i].$ref === undefined ? i : -1);
+      const at = `${location}.${keyword}[${i}]`;
+      if(j === -1 || paired.has(j)) {
+        this.add('subschema-removed', request ? !narrows : narrows, name, at, `a subschema of ${keyword} was removed`);
+        return;
+      }
+      paired.add(j);
+      this.schema(name, at, subschema, b[j], direction, seen);
+    });
+    b.forEach((subschema, j) => {
+      if(!paired.has(j)) {
+        this.add('subschema-added', request ? narrows : !narrows, name, `${location}.${keyword}[${j}]`,
+          `a subschema was added to ${keyword}`);
+      }
+    });
+  }
+
+  /**
+   * Compare the numeric, length, and size constraints of two schemas.
+   * @param name {string}
+   * @param location {string}
+   * @param a {Object}
+   * @param b {Object}
+   * @param request {boolean}
+   */
+  constraints(name, location, a, b, request) {
+    const lower = ['minimum', 'minLength', 'minItems', 'minProperties', 'exclusiveMinimum'];
+    const upper = ['maximum', 'maxLength', 'maxItems', 'maxProperties', 'exclusiveMaximum'];
+    lower.concat(upper).forEach(k => {
+      if(a[k] === b[k] || typeof a[k] === 'boolean' || typeof b[k] === 'boolean') {
+        return;
+      }
+      const isLower = lower.includes(k);
+      const tightened = a[k] === undefined || (b[k] !== undefined && (isLower ? b[k] > a[k] : b[k] < a[k]));
+      this.add(tightened ? 'constraint-tightened' : 'constraint-loosened', request ? tightened : !tightened, name,
+        location, `${k} changed from ${a[k] === undefined ? 'none' : a[k]} to ${b[k] === undefined ? 'none' : b[k]}`);
+    });
+    if(a.pattern !== b.pattern) {
+      this.add('pattern-changed', request ? b.pattern !== undefined : a.pattern !== undefined, name, location,
+        `pattern changed from ${a.pattern || 'none'} to ${b.pattern || 'none'}`);
+    }
+  }
+}
+
+module.exports = {
+  /**
+   * Compare two specifications and classify the changes as breaking or non-breaking for existing clients.
+   * @param before {oas.OpenAPI|Object} - The previous specification, or its exported document.
+   * @param after {oas.OpenAPI|Object} - The new specification, or its exported document.
+   * @returns {oas.SpecDiff}
+   */
+  diffSpecs: (before, after) => {
+    const differ = new Differ(before.doc && before.endpoints ? before.doc : before, after.doc && after.endpoints ? after.doc : after);
+    differ.operations();
+    const breaking = differ.changes.filter(c => c.breaking);
+    return {
+      hasBreakingChanges: breaking.length > 0,
+      breaking,
+      nonBreaking: differ.changes.filter(c => !c.breaking),
+    };
+  },
+
+  /**
+   * Create a human-readable summary of the result of diffSpecs().
+   * @param diff {oas.SpecDiff}
+   * @returns {string}
+   */
+  summarizeDiff: diff => {
+    const line = c => `  - ${c.operation}${c.location ? ` [${c.location}]` : ''}: ${c.message}`;
+    const lines = [
+      `${diff.breaking.length} breaking change(s), ${diff.nonBreaking.length} non-breaking change(s)`,
+    ];
+    if(diff.breaking.length) {
+      lines.push('', 'Breaking:', ...diff.breaking.map(line));
+    }
+    if(diff.nonBreaking.length) {
+      lines.push('', 'Non-breaking:', ...diff.nonBreaking.map(line));
+    }
+    return lines.join('\n');
+  },
+};
@@ -1,4 +1,7 @@
 const utils = require('./utils');
+const inject = require('./inject');
+const mock = require('./mock');
+const stream = require('./stream');
 
 /**
  * See {@link oas.Endpoint.constructor}
@@ -29,6 +32,12 @@ class Endpoint {
       security: [],
     };
 
+    /**
+     * The operationId without the version suffix, shared by all versions of this operation.
+     * @type {string}
+     */
+    this.baseOperationId = operationId;
+
     /**
      * The spec where this endpoint was defined
      * @type {oas.OpenAPI}
@@ -58,7 +67,8 @@ class Endpoint {
      * Details regarding deprecation of this endpoint.
      * @type {{
      *   useInstead: string,
-     *   removalDate: Date|null
+     *   removalDate: Date|null,
+     *   afterRemoval: string|undefined
      * } | null}
      */
     this.deprecationDetails = null;
@@ -71,34 +81,87 @@ class Endpoint {
       throw new Error(`endpoint function is not defined for ${data.endpoint.doc.operationId}`);
     };
 
+    /**
+     * True once a function has been supplied for this endpoint, using endpoint.define(func) or spec.bindHandlers()
+     * @type {boolean}
+     */
+    this.hasHandler = false;
+
+    /**
+     * The number of responses which were validated, and which violated the documentation.
+     * @type {{validated:number,violations:number}}
+     */
+    this.responseStats = {validated: 0, violations: 0};
+
+    /**
+     * The callbacks of this endpoint, mapped from their names, as added by endpoint.callback().
+     * @type {Object.<string,oas.Callback>}
+     */
+    this.callbacks = {};
+
     /** @private */
     this._endpointVersion = 0;
     /** @private */
+    this._basePath = path;
+    /** @private */
+    this._description = description;
+    /** @private */
+    this._requestTransforms = {};
+    /** @private */
+    this._hooks = {};
+    /** @private */
+    this._responseValidation = {};
+    /** @private */
+    this._defined = false;
+    /** @private */
+    this._validator = null;
+    /**
+     * The schemas of this endpoint whose references are resolved, mapped from the schemas.
+     * @private
+     * @type {Map<Object,Object>}
+     */
+    this._resolved = new Map();
+    /** @private */
     this._bodyJsonschema = null;
     /** @private */
+    this._bodyContent = {};
+    /** @private */
     this._dataSchema = {};
     /** @private */
+    this._dataSchemas = {};
+    /** @private */
     this._responseSchemas = {};
     /** @private */
+    this._responseContent = {};
+    /** @private */
+    this._responseHeaders = {};
+    /** @private */
+    this._streams = {};
+    /** @private */
+    this._pagination = null;
+    /** @private */
+    this._responseHeaderSchemas = {};
+    /** @private */
     this._query = [];
     /** @private */
     this._params = [];
     /** @private */
     this._headers = [];
+    /** @private */
+    this._cookies = [];
 
-    if(spec.endpoints[operationId] !== undefined) {
-      throw new Error(`duplicate endpoint definition for operationId: ${operationId}`);
-    }
-    spec.endpoints[operationId] = this;
+    this._register(operationId);
 
     this.attachDataMW = this.attachDataMW.bind(this)
+    this.securityMW = this.securityMW.bind(this)
     this.requestValidationMW = this.requestValidationMW.bind(this)
     this.call = this.call.bind(this)
     this.responseValidationMW = this.responseValidationMW.bind(this)
   }
 
   /**
-   * Set the version. This will modify the operationId and the path.
+   * Set the version. This will modify the operationId, and the path when versions are selected by the url.
+   * See {@link oas.OpenAPI.setVersioning} for the other ways of selecting a version.
    * @param v {int}
    * @returns {oas.Endpoint}
    */
@@ -106,12 +169,110 @@ class Endpoint {
     if(v <= 0 || this._endpointVersion) {
       return this;
     }
+    const operationId = `${this.baseOperationId}_v${v}`;
+    const existing = this.spec.endpoints[operationId];
+    if(existing !== undefined && existing !== this) {
+      throw new Error(`duplicate endpoint definition for operationId: ${operationId}`);
+    }
+    Object.getOwnPropertyNames(this.spec.endpoints)
+      .filter(id => this.spec.endpoints[id] === this)
+      .forEach(id => delete this.spec.endpoints[id]);
+    this.spec.endpoints[operationId] = this;
+
     this._endpointVersion = v;
-    this.doc.operationId += `_v${v}`;
-    this.path = `/v${v}${this.path}`;
+    this.doc.operationId = operationId;
+    const {by, header} = this.spec.versioning;
+    if(by === 'path') {
+      this.path = `/v${v}${this._basePath}`;
+    } else if(by === 'header' && !this.doc.parameters.some(p => p.in === 'header' && p.name === header)) {
+      this.doc.parameters.push({
+        name: header,
+        description: 'The version of the operation. Defaults to the latest version.',
+        in: 'header',
+        required: false,
+        schema: {type: 'integer'}
+      });
+    }
     return this;
   }
 
+  /**
+   * Create a new version of this endpoint, which inherits its parameters, request body, responses, security,
+   * options and function. Override what changes in the new version using the usual builder methods,
+   * then call define() on it.
+   * @param v {int} - The new version, which must not exist yet for this operation.
+   * @returns {oas.Endpoint}
+   */
+  newVersion(v) {
+    if(!this._endpointVersion) {
+      throw new Error(`${this.doc.operationId} must be given a version using endpoint.version() before deriving new versions from it`);
+    }
+    const endpoint = new Endpoint(this.spec, `${this.baseOperationId}_v${v}`, this.method, this._basePath,
+      this.doc.summary, this._description, this.doc.tags.slice());
+    endpoint.baseOperationId = this.baseOperationId;
+    endpoint.doc.operationId = this.baseOperationId;
+    endpoint.doc.parameters = this.doc.parameters.slice();
+    endpoint.doc.security = this.doc.security.slice();
+    if(this.doc.requestBody !== undefined) {
+      endpoint.doc.requestBody = this.doc.requestBody.$ref !== undefined
+        ? this.doc.requestBody
+        : Object.assign({}, this.doc.requestBody, {content: Object.assign({}, this.doc.requestBody.content)});
+    }
+    Object.keys(this.doc.responses).forEach(code => {
+      const response = Object.assign({}, this.doc.responses[code]);
+      if(response.content !== undefined) {
+        response.content = Object.assign({}, response.content);
+      }
+      if(response.headers !== undefined) {
+        response.headers = Object.assign({}, response.headers);
+      }
+      endpoint.doc.responses[code] = response;
+      if(this._responseContent[code] !== undefined) {
+        endpoint._responseContent[code] = Object.assign({}, this._responseContent[code]);
+      }
+    });
+    Object.keys(this.doc).filter(k => k.startsWith('x-')).forEach(k => endpoint.doc[k] = this.doc[k]);
+    if(this.doc.callbacks !== undefined) {
+      endpoint.doc.callbacks = Object.assign({}, this.doc.callbacks);
+      endpoint.callbacks = Object.assign({}, this.callbacks);
+    }
+
+    endpoint.options = Object.assign({}, this.options);
+    endpoint._requestTransforms = Object.assign({}, this._requestTransforms);
+    utils.addHooks(endpoint._hooks, this._hooks);
+    endpoint._responseValidation = Object.assign({}, this._responseValidation);
+    endpoint._pagination = this._pagination;
+    endpoint.func = this.func;
+    endpoint.hasHandler = this.hasHandler;
+    endpoint._bodyJsonschema = this._bodyJsonschema;
+    endpoint._bodyContent = Object.assign({}, this._bodyContent);
+    endpoint._responseSchemas = Object.assign({}, this._responseSchemas);
+    endpoint._responseHeaders = Object.assign({}, this._responseHeaders);
+    Object.keys(this._streams).forEach(code => endpoint._streams[code] = Object.assign({}, this._streams[code]));
+    endpoint._responseHeaderSchemas = Object.assign({}, this._responseHeaderSchemas);
+    endpoint._query = this._query.slice();
+    endpoint._params = this._params.slice();
+    endpoint._headers = this._headers.slice();
+    endpoint._cookies = this._cookies.slice();
+    return endpoint.version(v);
+  }
+
+  /**
+   * The headers which select this version of the endpoint, when versions are not selected by the url.
+   * @returns {Object.<string,string>}
+   */
+  versionHeaders() {
+    const {by, header, parameter} = this.spec.versioning;
+    if(!this._endpointVersion || by === 'path') {
+      return {};
+    }
+    if(by === 'header') {
+      return {[header]: String(this._endpointVersion)};
+    }
+    const mediaTypes = Object.keys(this._responseContent).map(code => Object.keys(this._responseContent[code])[0]);
+    return {Accept: `${mediaTypes.find(t => t !== undefined) || 'application/json'}; ${parameter}=${this._endpointVersion}`};
+  }
+
   /**
    * Set an arbitrary option for this endpoint which will be stored in the options object.
    * @param name {string}
@@ -125,31 +286,53 @@ class Endpoint {
 
   /**
    * Add a parameter.
-   * @param loc {string} - One of {query, path, header}
+   * @param loc {string} - One of {query, path, header, cookie}
    * @param name {string}
    * @param description {string}
    * @param required {boolean}
    * @param schema {Object} - A valid jsonschema object.
-   * @param type {string} - One of {string, number, bool}, the type to convert the parameter to when received.
+   *   Received values are converted to the types of the schema, including integers, numbers, booleans, nulls, the values of enums,
+   *   and the scalar types in oneOf and anyOf. The items of arrays and the properties of objects are converted the same way.
+   * @param type {string?} - One of {string, number, bool, array, object}. Inferred from the schema by default.
+   *   The schema takes precedence when converting values, and this type is only used when the schema does not declare any types.
+   *   The serialization may be given in place of this argument.
+   * @param serialization {Object?} - How the parameter is serialized, as described by the Open API specification.
+   * @param serialization.style {string?} - One of {form, spaceDelimited, pipeDelimited, deepObject} for query parameters,
+   *   one of {simple, label, matrix} for path parameters, simple for header parameters, or form for cookie parameters.
+   *   Defaults to form for query and cookie parameters and simple otherwise.
+   * @param serialization.explode {boolean?} - Defaults to true for the form and deepObject styles and false otherwise.
    * @returns {oas.Endpoint}
    */
-  parameter(loc, name, description, required, schema, type) {
-    if(type !== 'string' && type !== 'number' && type !== 'bool') {
-      throw new Error(`invalid type for parameter ${name} in ${loc} of ${this.doc.operationId} (must be one of {string,number,bool})`);
-    }
-    const typedDoc = {
-      doc: {
-        name,
-        description,
-        in: loc,
-        required,
-        schema: utils.toOasSchema(schema, this.spec)
-      },
-      type,
-      jsonschema: utils.toJsonschema(schema, this.spec)
-    };
+  parameter(loc, name, description, required, schema, type = undefined, serialization = {}) {
+    if(typeof type === 'object' && type !== null) {
+      serialization = type;
+      type = undefined;
+    }
+    const typedDoc = utils.typedParameter(loc, name, description, required, schema, type, serialization, this.spec,
+      this.doc.operationId);
+    return this._addParameter(typedDoc, typedDoc.doc);
+  }
 
-    this.doc.parameters.push(typedDoc.doc);
+  /**
+   * Add a parameter which is defined in components.parameters of the spec, using spec.parameterComponent().
+   * It is documented as a reference, and validated as if it were added using endpoint.parameter().
+   * @param name {string} - The name of the component.
+   * @returns {oas.Endpoint}
+   */
+  parameterRef(name) {
+    return this._addParameter(this.spec._component('parameters', name), {$ref: `#/components/parameters/${name}`});
+  }
+
+  /**
+   * @private
+   * @param typedDoc {{doc:Object,type:string,jsonschema:Object}}
+   * @param doc {Object} - The documentation of the parameter, or a reference to it.
+   * @returns {oas.Endpoint}
+   */
+  _addParameter(typedDoc, doc) {
+    const {in: loc, name} = typedDoc.doc;
+    this.removeParameter(loc, name);
+    this.doc.parameters.push(doc);
     switch(loc) {
       case 'query':
         this._query.push(typedDoc);
@@ -160,65 +343,426 @@ class Endpoint {
       case 'header':
         this._headers.push(typedDoc);
         break;
+      case 'cookie':
+        this._cookies.push(typedDoc);
+        break;
       default:
-        throw new Error(`value for 'loc' should be one of {query, path, header} for parameter ${name} in ${this.doc.operationId}`);
+        throw new Error(`value for 'loc' should be one of {query, path, header, cookie} for parameter ${name} in ${this.doc.operationId}`);
     }
     return this;
   }
 
+  /**
+   * Remove a parameter, such as one inherited from a previous version of the endpoint.
+   * Adding a parameter with the same location and name replaces it without removing it first.
+   * @param loc {string} - One of {query, path, header, cookie}
+   * @param name {string}
+   * @returns {oas.Endpoint}
+   */
+  removeParameter(loc, name) {
+    const other = p => !(p.in === loc && p.name === name);
+    this.doc.parameters = this.doc.parameters.filter(p => other(utils.resolveRef(this.spec.doc, p)));
+    this._query = this._query.filter(p => other(p.doc));
+    this._params = this._params.filter(p => other(p.doc));
+    this._headers = this._headers.filter(p => other(p.doc));
+    this._cookies = this._cookies.filter(p => other(p.doc));
+    return this;
+  }
+
   /**
    * Add a request body.
+   * Call this again with a different media type to accept the body in several media types.
+   * The first media type which is added is used when a request does not specify a Content-Type.
    * @param description {string}
    * @param required {boolean}
-   * @param schema {Object}
+   * @param schema {Object?} - A valid jsonschema object. Use {type: 'string', format: 'binary'} for files and raw bodies.
+   * @param mediaType {string?} - The media type of the body, such as multipart/form-data. Defaults to application/json.
+   * @param encoding {Object.<string,Object>?} - Open API encoding objects for the properties of form and multipart bodies.
+   *   The media types of uploaded files are checked against the contentType of their encoding.
    * @returns {oas.Endpoint}
    */
-  requestBody(description, required, schema) {
-    this._bodyJsonschema = utils.toJsonschema(schema, this.spec);
+  requestBody(description, required, schema, mediaType = 'application/json', encoding = undefined) {
+    const media = {};
+    if(schema !== undefined) {
+      media.schema = utils.toOasSchema(schema, this.spec);
+    }
+    if(encoding !== undefined) {
+      media.encoding = encoding;
+    }
+    this._bodyContent[mediaType] = schema !== undefined ? utils.toJsonschema(schema, this.spec, mediaType) : undefined;
+    this._bodyJsonschema = this._bodyContent[Object.keys(this._bodyContent)[0]];
+    const current = this.doc.requestBody ? utils.resolveRef(this.spec.doc, this.doc.requestBody) : undefined;
     this.doc.requestBody = {
       description, required,
-      content: {
-        'application/json': {
-          schema: utils.toOasSchema(schema, this.spec)
-        }
-      }
+      content: Object.assign({}, current ? current.content : {}, {[mediaType]: media})
     };
     return this;
   }
 
+  /**
+   * Add a request body which is defined in components.requestBodies of the spec, using spec.requestBodyComponent().
+   * It is documented as a reference, and validated as if it were added using endpoint.requestBody().
+   * @param name {string} - The name of the component.
+   * @returns {oas.Endpoint}
+   */
+  requestBodyRef(name) {
+    const component = this.spec._component('requestBodies', name);
+    this._bodyContent = Object.assign({}, component.content);
+    this._bodyJsonschema = this._bodyContent[Object.keys(this._bodyContent)[0]];
+    this.doc.requestBody = {$ref: `#/components/requestBodies/${name}`};
+    return this;
+  }
+
   /**
    * Add a response.
+   * Call this again with the same code and a different media type to document several media types for the response.
    * @param code {int} - Status code of the response
    * @param description {string}
    * @param schema {Object?} - A valid jsonschema object
+   * @param mediaType {string?} - The media type of the response body. Defaults to application/json when a schema is given.
    * @returns {oas.Endpoint}
    */
-  response(code, description, schema) {
+  response(code, description, schema, mediaType = undefined) {
     const key = String(code);
-    const doc = {description};
-    if(schema !== undefined) {
-      this._responseSchemas[key] = utils.toJsonschema(schema, this.spec);
-      doc.content = {
-        'application/json': {
-          schema: utils.toOasSchema(schema, this.spec)
-        }
-      }
+    const doc = Object.assign(this._responseDoc(key) || {}, {description});
+    if(schema !== undefined || mediaType !== undefined) {
+      mediaType = mediaType || 'application/json';
+      const content = this._responseContent[key] || {};
+      content[mediaType] = schema !== undefined ? utils.toJsonschema(schema, this.spec, mediaType) : undefined;
+      this._responseContent[key] = content;
+      this._responseSchemas[key] = content[Object.keys(content)[0]];
+      doc.content = Object.assign(doc.content || {}, {
+        [mediaType]: schema !== undefined ? {schema: utils.toOasSchema(schema, this.spec)} : {}
+      });
     }
     this.doc.responses[key] = doc;
     return this;
   }
 
+  /**
+   * Add a response which is defined in components.responses of the spec, using spec.responseComponent().
+   * It is documented as a reference, and validated as if it were added using endpoint.response().
+   * @param code {int} - Status code of the response
+   * @param name {string} - The name of the component.
+   * @returns {oas.Endpoint}
+   */
+  responseRef(code, name) {
+    const component = this.spec._component('responses', name);
+    const key = String(code);
+    this.removeResponse(key);
+    this.doc.responses[key] = {$ref: `#/components/responses/${name}`};
+    const mediaTypes = Object.keys(component.content);
+    if(mediaTypes.length) {
+      this._responseContent[key] = Object.assign({}, component.content);
+      this._responseSchemas[key] = component.content[mediaTypes[0]];
+    }
+    if(component.headers.length) {
+      this._setResponseHeaders(key, component.headers.slice(), utils.resolveRef(this.spec.doc, this.doc.responses[key]).headers);
+    }
+    return this;
+  }
+
+  /**
+   * Get the documentation of a response to change it.
+   * A response which references a component is replaced by a copy of the component first, so that the component is unchanged.
+   * @private
+   * @param key {string}
+   * @returns {Object|undefined}
+   */
+  _responseDoc(key) {
+    const doc = this.doc.responses[key];
+    if(doc !== undefined && doc.$ref !== undefined) {
+      this.doc.responses[key] = JSON.parse(JSON.stringify(utils.resolveRef(this.spec.doc, doc)));
+    }
+    return this.doc.responses[key];
+  }
+
+  /**
+   * Remove a response, such as one inherited from a previous version of the endpoint.
+   * @param code {int}
+   * @returns {oas.Endpoint}
+   */
+  removeResponse(code) {
+    const key = String(code);
+    delete this.doc.responses[key];
+    delete this._responseContent[key];
+    delete this._responseSchemas[key];
+    delete this._responseHeaders[key];
+    delete this._responseHeaderSchemas[key];
+    delete this._streams[key];
+    return this;
+  }
+
+  /**
+   * Paginate the items of a list response, which must already be added using endpoint.response()
+   * with the schema of the items, or of an array of them.
+   * The limit query parameter is added, along with offset or cursor, depending on the style.
+   * The response is wrapped in an envelope of {items, next, prev, total}, where next and prev are the offsets or cursors
+   * of the neighbouring pages, and the Link and X-Total-Count headers are documented.
+   * Use data.pageRequest() and data.page() in the endpoint function to read the requested page and respond with it.
+   * @param options {Object?}
+   * @param options.style {string?} - Either 'offset' (the default) or 'cursor'.
+   * @param options.maxLimit {number?} - The maximum number of items in a page. Defaults to 100.
+   * @param options.defaultLimit {number?} - The number of items in a page when no limit is given. Defaults to 20, or maxLimit if less.
+   * @param options.status {int?} - The status code of the list response. Defaults to 200.
+   * @returns {oas.Endpoint}
+   */
+  paginated(options = {}) {
+    const style = options.style || 'offset';
+    if(!['offset', 'cursor'].includes(style)) {
+      throw new Error(`unknown pagination style: ${style} (must be one of {offset,cursor})`);
+    }
+    const maxLimit = options.maxLimit || 100;
+    const defaultLimit = options.defaultLimit || Math.min(20, maxLimit);
+    const key = String(options.status || 200);
+    const content = this._responseContent[key];
+    if(content === undefined || content['application/json'] === undefined) {
+      throw new Error(`response ${key} must be added with the schema of its items before paginating ${this.doc.operationId}`);
+    }
+
+    const itemsOf = schema => schema.type === 'array' && schema.items !== undefined ? schema.items : schema;
+    const token = style === 'offset' ? {type: 'integer', minimum: 0} : {type: 'string'};
+    const envelope = items => ({
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: {type: 'array', items},
+        next: Object.assign({description: `The ${style} of the next page.`}, token),
+        prev: Object.assign({description: `The ${style} of the previous page.`}, token),
+        total: {type: 'integer', minimum: 0, description: 'The total number of items in every page.'},
+      },
+    });
+    const media = this._responseDoc(key).content['application/json'];
+    media.schema = envelope(itemsOf(media.schema));
+    content['application/json'] = envelope(itemsOf(content['application/json']));
+    this._responseSchemas[key] = content[Object.keys(content)[0]];
+
+    this.parameter('query', 'limit', 'The maximum number of items to return.', false,
+      {type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit});
+    if(style === 'offset') {
+      this.parameter('query', 'offset', 'The number of items to skip.', false, {type: 'integer', minimum: 0, default: 0});
+    } else {
+      this.parameter('query', 'cursor', 'The cursor of the page to return, from the next or prev of another page.', false,
+        {type: 'string'});
+    }
+    this.responseHeader(key, 'Link', 'Links to the next and previous pages.', false, {type: 'string'});
+    this.responseHeader(key, 'X-Total-Count', 'The total number of items in every page.', false, {type: 'integer', minimum: 0});
+    this._pagination = {style, maxLimit, defaultLimit, status: parseInt(key)};
+    return this;
+  }
+
+  /**
+   * Add a streamed response, which the endpoint function returns as a readable stream, an async iterable or an array.
+   * Each item is sent as a line of JSON, and may be validated against the item schema, following the response
+   * validation policy. Strings and buffers are taken to be serialized already, and are sent without being validated.
+   * The item schema is documented under x-itemSchema of the media type.
+   * @param code {int} - Status code of the response
+   * @param description {string}
+   * @param itemSchema {Object} - A valid jsonschema object, for each item of the stream.
+   * @param mediaType {string?} - Defaults to application/x-ndjson.
+   * @returns {oas.Endpoint}
+   */
+  streamResponse(code, description, itemSchema, mediaType = stream.ndjsonMediaType) {
+    this.response(code, description, undefined, mediaType);
+    this.doc.responses[String(code)].content[mediaType] = {
+      schema: {type: 'string', description: 'A stream of JSON items, one per line.'},
+      'x-itemSchema': utils.toOasSchema(itemSchema, this.spec),
+    };
+    this._streams[String(code)] = Object.assign(this._streams[String(code)] || {}, {
+      [mediaType]: {items: utils.toJsonschema(itemSchema, this.spec)}
+    });
+    return this;
+  }
+
+  /**
+   * Add a response of server-sent events (text/event-stream), which the endpoint function returns as a readable stream,
+   * an async iterable or an array of oas.ServerSentEvent objects.
+   * The data of each event may be validated against the schema of its event, following the response validation policy.
+   * The events are documented under x-itemSchema of the media type.
+   * @param code {int} - Status code of the response
+   * @param description {string}
+   * @param events {Object.<string,Object>} - Valid jsonschema objects for the data of each event, mapped from event names.
+   *   Events without a name are named message.
+   * @returns {oas.Endpoint}
+   */
+  eventStreamResponse(code, description, events) {
+    const mediaType = stream.eventStreamMediaType;
+    const oasEvents = {};
+    const jsonschemaEvents = {};
+    Object.getOwnPropertyNames(events).forEach(name => {
+      oasEvents[name] = utils.toOasSchema(events[name], this.spec);
+      jsonschemaEvents[name] = utils.toJsonschema(events[name], this.spec);
+    });
+    this.response(code, description, undefined, mediaType);
+    this.doc.responses[String(code)].content[mediaType] = {
+      schema: {type: 'string', description: 'A stream of server-sent events.'},
+      'x-itemSchema': stream.eventsSchema(oasEvents),
+    };
+    this._streams[String(code)] = Object.assign(this._streams[String(code)] || {}, {
+      [mediaType]: {events: jsonschemaEvents}
+    });
+    return this;
+  }
+
+  /**
+   * Add a header to a response which was added using endpoint.response().
+   * Recorded response headers are converted based on the type of the schema before being validated.
+   * @param code {int} - Status code of the response
+   * @param name {string}
+   * @param description {string}
+   * @param required {boolean}
+   * @param schema {Object} - A valid jsonschema object.
+   * @returns {oas.Endpoint}
+   */
+  responseHeader(code, name, description, required, schema) {
+    return this._addResponseHeader(String(code), utils.typedHeader(name, schema, this.spec), {
+      description,
+      required,
+      schema: utils.toOasSchema(schema, this.spec)
+    });
+  }
+
+  /**
+   * Add a header to a response which was added using endpoint.response() or endpoint.responseRef().
+   * The header is defined in components.headers of the spec, using spec.headerComponent(), and its name is the name
+   * of the component. It is documented as a reference, and validated as if it were added using endpoint.responseHeader().
+   * @param code {int} - Status code of the response
+   * @param name {string} - The name of the component.
+   * @returns {oas.Endpoint}
+   */
+  responseHeaderRef(code, name) {
+    return this._addResponseHeader(String(code), this.spec._component('headers', name), {$ref: `#/components/headers/${name}`});
+  }
+
+  /**
+   * @private
+   * @param key {string}
+   * @param typedHeader {{doc:Object,type:string,jsonschema:Object}}
+   * @param header {Object} - The documentation of the header, or a reference to it.
+   * @returns {oas.Endpoint}
+   */
+  _addResponseHeader(key, typedHeader, header) {
+    const name = typedHeader.doc.name;
+    const doc = this._responseDoc(key);
+    if(doc === undefined) {
+      throw new Error(`response ${key} must be added before adding header ${name} to it in ${this.doc.operationId}`);
+    }
+    doc.headers = Object.assign(doc.headers || {}, {[name]: header});
+    this._setResponseHeaders(key, (this._responseHeaders[key] || []).filter(h => h.doc.name !== name).concat(typedHeader),
+      doc.headers);
+    return this;
+  }
+
+  /**
+   * Set the headers which are validated for a response.
+   * @private
+   * @param key {string}
+   * @param typedHeaders {{doc:Object,type:string,jsonschema:Object}[]}
+   * @param headers {Object.<string,Object>} - The documentation of the headers, or references to it, mapped from their names.
+   */
+  _setResponseHeaders(key, typedHeaders, headers) {
+    this._responseHeaders[key] = typedHeaders;
+    const headersSchema = {type: 'object', required: [], properties: {}};
+    typedHeaders.forEach(h => {
+      headersSchema.properties[h.doc.name] = h.jsonschema;
+      if(utils.resolveRef(this.spec.doc, headers[h.doc.name]).required) {
+        headersSchema.required.push(h.doc.name);
+      }
+    });
+    this._responseHeaderSchemas[key] = {type: 'object', required: ['headers'], properties: {headers: headersSchema}};
+  }
+
+  /**
+   * Add an example which is defined in components.examples of the spec, using spec.exampleComponent(),
+   * to the request body or to a response. It is documented as a reference under the examples of the media type.
+   * @param target {string|int} - Either 'requestBody', or the status code of a response.
+   * @param name {string} - The name of the component.
+   * @param mediaType {string?} - Defaults to the first media type of the request body or response.
+   * @returns {oas.Endpoint}
+   */
+  exampleRef(target, name, mediaType = undefined) {
+    this.spec._component('examples', name);
+    let doc;
+    if(target === 'requestBody') {
+      if(this.doc.requestBody !== undefined && this.doc.requestBody.$ref !== undefined) {
+        this.doc.requestBody = JSON.parse(JSON.stringify(utils.resolveRef(this.spec.doc, this.doc.requestBody)));
+      }
+      doc = this.doc.requestBody;
+    } else {
+      doc = this._responseDoc(String(target));
+    }
+    const content = (doc || {}).content || {};
+    const media = content[mediaType || Object.keys(content)[0]];
+    if(media === undefined) {
+      throw new Error(`${target} must be added with a media type before adding example ${name} to it in ${this.doc.operationId}`);
+    }
+    media.examples = Object.assign(media.examples || {}, {[name]: {$ref: `#/components/examples/${name}`}});
+    return this;
+  }
+
+  /**
+   * Set how requestValidationMW transforms the data of requests to this endpoint, overriding the requestTransforms of the spec.
+   * @param options {Object}
+   * @param options.useDefaults {boolean?} - Fill in missing values from the defaults in the schemas of the parameters and body.
+   * @param options.removeAdditional {boolean?} - Remove properties of the body which are not declared by its schema,
+   *   from objects whose schema sets additionalProperties to false.
+   * @returns {oas.Endpoint}
+   */
+  requestTransforms(options) {
+    this._requestTransforms = Object.assign({}, options);
+    return this;
+  }
+
+  /**
+   * Set how responses of this endpoint are validated, overriding the responseValidation of the spec.
+   * See {@link oas.OpenAPI.setResponseValidation} for the policies.
+   * @param policy {string} - One of 'enforce', 'report', 'sampled' or 'off'.
+   * @param options {Object?}
+   * @param options.sampleRate {number?} - The fraction of responses to validate, from 0 to 1.
+   * @param options.onViolation {function(oas.JSONValidationError, oas.Data)?} - Defaults to the onViolation of the spec.
+   * @returns {oas.Endpoint}
+   */
+  responseValidation(policy, options = {}) {
+    const settings = utils.responseValidationSettings(policy, options);
+    if(settings.onViolation === undefined) {
+      delete settings.onViolation;
+    }
+    this._responseValidation = settings;
+    return this;
+  }
+
+  /**
+   * Add lifecycle hooks to this endpoint, which run after the hooks of the spec and of the tags of this endpoint.
+   * @param hooks {oas.Hooks}
+   * @returns {oas.Endpoint}
+   */
+  hooks(hooks) {
+    utils.addHooks(this._hooks, hooks);
+    return this;
+  }
+
   /**
    * Deprecate the endpoint.
+   * Responses from a deprecated endpoint carry the Deprecation header, along with the Sunset header when a removal date
+   * is given, and a Link header to the successor version when useInstead names an operationId or a url.
    * @param useInstead {string} - An endpoint to migrate to from this one.
-   * @param removalDate {Date|null} - A date on which this endpoint will be removed from the service.
+   * @param removalDate {Date|string|null} - A date on which this endpoint will be removed from the service.
+   * @param afterRemoval {string?} - What to do once the removal date has passed, overriding the deprecationPolicy of the spec.
+   *   One of 'none', 'gone' (respond with 410 Gone) or 'remove' (drop the operation from doc.paths).
    * @returns {oas.Endpoint}
    */
-  deprecate(useInstead, removalDate = null) {
+  deprecate(useInstead, removalDate = null, afterRemoval = undefined) {
+    if(afterRemoval !== undefined && !['none', 'gone', 'remove'].includes(afterRemoval)) {
+      throw new Error(`unknown deprecation policy for ${this.doc.operationId}: ${afterRemoval}`);
+    }
+    if(removalDate !== null && isNaN(new Date(removalDate))) {
+      throw new Error(`invalid removal date for ${this.doc.operationId}: ${removalDate}`);
+    }
     this.doc.deprecated = true;
     this.deprecationDetails = {
       useInstead,
-      removalDate
+      removalDate: removalDate === null ? null : new Date(removalDate),
+      afterRemoval
     };
     if(useInstead !== undefined) {
       this.doc.description += `<br/>DEPRECATED: please migrate to <code>${useInstead}</code><br/>Planned removal date: ${removalDate || 'TBD'}`;
@@ -226,6 +770,62 @@ class Endpoint {
     return this;
   }
 
+  /**
+   * Check whether the removal date of this deprecated endpoint has passed.
+   * @param now {Date?}
+   * @returns {boolean}
+   */
+  isRemoved(now = new Date()) {
+    const details = this.deprecationDetails;
+    return details !== null && details.removalDate !== null && details.removalDate <= now;
+  }
+
+  /**
+   * The headers sent with every response from this endpoint while it is deprecated.
+   * @returns {Object.<string,string>}
+   */
+  deprecationHeaders() {
+    const details = this.deprecationDetails;
+    if(details === null) {
+      return {};
+    }
+    const headers = {Deprecation: 'true'};
+    if(details.removalDate !== null) {
+      headers['Sunset'] = details.removalDate.toUTCString();
+    }
+    if(details.useInstead !== undefined) {
+      const successor = this.spec.endpoints[details.useInstead];
+      const url = successor !== undefined ? successor.path : details.useInstead;
+      if(/^(\/|[a-z][a-z0-9+.-]*:)/i.test(url)) {
+        headers['Link'] = `<${url}>; rel="successor-version"`;
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  _removalPolicy() {
+    const {afterRemoval} = this.deprecationDetails;
+    return afterRemoval !== undefined ? afterRemoval : this.spec.deprecationPolicy;
+  }
+
+  /**
+   * Drop this operation from doc.paths.
+   * @private
+   */
+  _removeFromDoc() {
+    const pathItem = this.spec.doc.paths[this.path];
+    if(pathItem !== undefined && pathItem[this.method] === this.doc) {
+      delete pathItem[this.method];
+      if(Object.keys(pathItem).length === 0) {
+        delete this.spec.doc.paths[this.path];
+      }
+    }
+  }
+
   /**
    * Add a security requirement to this endpoint.
    * @param requirements {Object<string,string[]>} - A map of security requirement names to their scopes.
@@ -238,15 +838,86 @@ class Endpoint {
     return this;
   }
 
+  /**
+   * Add a callback, a request which the API sends to the client after it calls this endpoint.
+   * The callback is built with the same builders as an endpoint, such as parameter(), requestBody() and response(),
+   * and is documented under the callbacks of this endpoint. Use it to send the request with callback.send().
+   * @param name {string}
+   * @param expression {string} - A runtime expression for the url of the callback, such as {$request.body#/callbackUrl}.
+   * @param method {string}
+   * @param summary {string}
+   * @param build {function(oas.Callback)} - Adds the parameters, request body and responses of the callback.
+   * @returns {oas.Endpoint}
+   */
+  callback(name, expression, method, summary, build) {
+    // Required here, as oas.Callback extends oas.Endpoint
+    const Callback = require('./callback');
+    this.doc.callbacks = this.doc.callbacks || {};
+    const callbacks = this.doc.callbacks[name] = Object.assign({}, this.doc.callbacks[name]);
+    const pathItem = callbacks[expression] = Object.assign({}, callbacks[expression]);
+    const callback = new Callback(this.spec, `${this.baseOperationId}_${name}`, method, expression, summary, '',
+      this.doc.tags.slice(), pathItem);
+    build(callback);
+    this.callbacks[name] = callback.define();
+    return this;
+  }
+
   /**
    * Define a function to run when calling this endpoint.
-   * @param func {function(data:oas.Data):*}
+   * The references of the schemas of the requests and responses are resolved at this point, see {@link oas.OpenAPI.compileValidators}.
+   * @param func {function(data:oas.Data):*} - May be omitted to bind the function later using spec.bindHandlers().
    * @returns {oas.Endpoint}
    */
   define(func) {
+    this._buildSchemas();
+
+    let pathItem = this.spec.doc.paths[this.path];
+    if(pathItem === undefined) {
+      pathItem = {};
+      this.spec.doc.paths[this.path] = pathItem;
+    }
+    const documented = Object.getOwnPropertyNames(this.spec.endpoints)
+      .map(id => this.spec.endpoints[id])
+      .find(e => e !== this && e.doc === pathItem[this.method]);
+    if(documented === undefined || documented.baseOperationId !== this.baseOperationId
+      || documented._endpointVersion < this._endpointVersion) {
+      pathItem[this.method] = this.doc;
+    }
+    if(this.isRemoved() && this._removalPolicy() === 'remove') {
+      this._removeFromDoc();
+    }
+
+    if(func !== undefined) {
+      this.func = func;
+      this.hasHandler = true;
+    }
+    this._defined = true;
+    if(this.spec.routeCreator) {
+      this.spec.routeCreator(this)
+    }
+    return this;
+  }
+
+  /**
+   * Add this endpoint to the endpoints of the spec.
+   * @private
+   * @param operationId {string}
+   */
+  _register(operationId) {
+    if(this.spec.endpoints[operationId] !== undefined) {
+      throw new Error(`duplicate endpoint definition for operationId: ${operationId}`);
+    }
+    this.spec.endpoints[operationId] = this;
+  }
+
+  /**
+   * Build the schemas of the requests to this endpoint, and resolve the references of the schemas of its requests and responses.
+   * @private
+   */
+  _buildSchemas() {
     const dataSchema = {
       type: 'object',
-      required: ['query', 'params', 'headers'],
+      required: ['query', 'params', 'headers', 'cookies'],
       properties: {
         query: {
           type: 'object',
@@ -263,14 +934,16 @@ class Endpoint {
           required: [],
           properties: {}
         },
+        cookies: {
+          type: 'object',
+          required: [],
+          properties: {}
+        },
       }
     };
 
-    if(this.doc.requestBody !== undefined) {
-      dataSchema.properties.body = this._bodyJsonschema;
-      if(this.doc.requestBody.required) {
-        dataSchema.required.push('body');
-      }
+    if(this.doc.requestBody !== undefined && utils.resolveRef(this.spec.doc, this.doc.requestBody).required) {
+      dataSchema.required.push('body');
     }
     const addToSchema = (schema, typedParam) => {
       schema.properties[typedParam.doc.name] = typedParam.jsonschema;
@@ -281,19 +954,46 @@ class Endpoint {
     this._query.forEach(p => addToSchema(dataSchema.properties.query, p));
     this._params.forEach(p => addToSchema(dataSchema.properties.params, p));
     this._headers.forEach(p => addToSchema(dataSchema.properties.headers, p));
+    this._cookies.forEach(p => addToSchema(dataSchema.properties.cookies, p));
 
-    this._dataSchema = dataSchema;
+    this._dataSchemas = {};
+    Object.keys(this._bodyContent).forEach(mediaType => {
+      const properties = Object.assign({}, dataSchema.properties);
+      if(this._bodyContent[mediaType] !== undefined) {
+        properties.body = this._bodyContent[mediaType];
+      }
+      this._dataSchemas[mediaType] = Object.assign({}, dataSchema, {properties});
+    });
+    this._dataSchema = this._dataSchemas[Object.keys(this._bodyContent)[0]] || dataSchema;
 
-    let pathItem = this.spec.doc.paths[this.path];
-    if(pathItem === undefined) {
-      pathItem = {};
-      this.spec.doc.paths[this.path] = pathItem;
+    if(this.spec.compileValidators) {
+      const itemSchemas = [];
+      Object.keys(this._streams).forEach(c => Object.keys(this._streams[c]).forEach(t => {
+        const streamed = this._streams[c][t];
+        itemSchemas.push(...(streamed.items !== undefined ? [streamed.items] : Object.keys(streamed.events).map(e => streamed.events[e])));
+      }));
+      const schemas = [this._dataSchema].concat(
+        Object.keys(this._dataSchemas).map(t => this._dataSchemas[t]),
+        Object.keys(this._responseHeaderSchemas).map(c => this._responseHeaderSchemas[c]),
+        ...Object.keys(this._responseContent).map(c => Object.keys(this._responseContent[c]).map(t => this._responseContent[c][t])),
+        itemSchemas);
+      this._validator = this.spec._newValidator();
+      this._resolved = new Map();
+      schemas.filter(schema => schema !== undefined).forEach(schema => this._resolved.set(schema, utils.resolveRefs(schema, this.spec)));
     }
-    pathItem[this.method] = this.doc;
+  }
 
-    this.func = func;
-    this.spec.routeCreator(this)
-    return this;
+  /**
+   * Run a request through the standard pipeline of this endpoint without a server, for testing.
+   * See {@link oas.OpenAPI.inject} to find the endpoint by method and url instead.
+   * @param request {oas.InjectRequest} - The method and url default to those of this endpoint.
+   * @param params {Object.<string,string>?} - The path parameters of the request.
+   * @returns {Promise<oas.InjectResult>}
+   */
+  inject(request, params = {}) {
+    const url = this.path.replace(/{([^}]+)}/g, (m, n) => params[n] !== undefined ? encodeURIComponent(params[n]) : '');
+    const headers = Object.assign(this.versionHeaders(), request.headers);
+    return inject.inject(this, Object.assign({method: this.method, url}, request, {headers}), params);
   }
 
   /**
@@ -302,11 +1002,18 @@ class Endpoint {
    *   req.oasData - The data object for the endpoint call
    *   req.oasResponse - Records the response by observing the actual response object
    * This should be called before any middleware which needs to use the endpoint.
+   * Once a deprecated endpoint is removed under the 'gone' policy, an error with a status of 410 is passed to next()
+   * instead, before the security requirements and the request are checked.
+   * When versions are selected by a header or media type and the request selects another version of the operation,
+   * the rest of the route is skipped using next('route'), so that the route of the selected version handles it.
    * @param req {e.Request}
    * @param res {e.Response}
    * @param next {e.NextFunction}
    */
   attachDataMW(req, res, next) {
+    if(this.spec.selectVersion(this, req.headers) !== this) {
+      return next('route')
+    }
     const data = new utils.Data(req, res, this)
     req['oasData'] = data
 
@@ -353,21 +1060,125 @@ class Endpoint {
       return _json(json)
     }
 
+    if(this.deprecationDetails !== null) {
+      res.set(this.deprecationHeaders())
+      if(this.isRemoved() && this._removalPolicy() === 'remove') {
+        this._removeFromDoc()
+      }
+      if(this.spec.onDeprecatedCall !== null) {
+        try {
+          this.spec.onDeprecatedCall(this, data)
+        } catch(error) {
+          return next(error)
+        }
+      }
+      if(this.isRemoved() && this._removalPolicy() === 'gone') {
+        const error = new Error(`${this.doc.operationId} was removed on ${this.deprecationDetails.removalDate.toUTCString()}`)
+        error.status = 410
+        return next(error)
+      }
+    }
+
+    const paramValue = (p, raw) => p.doc.style === undefined ? raw : utils.deserializeParam(p, raw)
     try {
-      this._query.forEach(p => data.query[p.doc.name] = utils.convertParamType(p, data.req.query[p.doc.name]));
-      this._params.forEach(p => data.params[p.doc.name] = utils.convertParamType(p, data.req.params[p.doc.name]));
-      this._headers.forEach(p => data.headers[p.doc.name] = utils.convertParamType(p, data.req.get(p.doc.name)));
-      if(this.doc.requestBody !== null) {
+      let query
+      this._query.forEach(p => {
+        let raw = data.req.query[p.doc.name]
+        if(p.doc.style !== undefined) {
+          query = query || new URL(data.req.originalUrl || data.req.url, 'http://localhost').searchParams
+          raw = query
+        }
+        data.query[p.doc.name] = utils.convertParamType(p, paramValue(p, raw))
+      });
+      this._params.forEach(p => data.params[p.doc.name] = utils.convertParamType(p, paramValue(p, data.req.params[p.doc.name])));
+      this._headers.forEach(p => data.headers[p.doc.name] = utils.convertParamType(p, paramValue(p, data.req.get(p.doc.name))));
+      if(this._cookies.length) {
+        const cookies = utils.parseCookies(data.req.get('cookie'))
+        this._cookies.forEach(p => data.cookies[p.doc.name] = utils.convertParamType(p, paramValue(p, cookies[p.doc.name])));
+      }
+      if(this.doc.requestBody !== undefined) {
+        const contentType = data.req.get('content-type');
+        data.contentType = contentType
+          ? utils.matchMediaType(contentType, Object.keys(this._bodyContent))
+          : Object.keys(this._bodyContent)[0];
         data.body = data.req.body;
+        if(data.contentType !== undefined && data.contentType.startsWith('multipart/')) {
+          data.body = Object.assign({}, data.body, utils.uploadedFiles(data.req));
+        }
       }
-    } catch({param, item}) {
-      throw utils.JSONValidationError.FromParameterType(this, param, item);
+    } catch({param, item, types, path}) {
+      throw utils.JSONValidationError.FromParameterType(this, param, item, 'request', types, path);
     }
     next()
   }
 
+  /**
+   * Middleware to enforce the security requirements of this endpoint.
+   * Only one requirement in doc.security must be satisfied, and every scheme in that requirement must be satisfied.
+   * On success, data.security and data.principal are set from the values returned by the security handlers.
+   * On failure, an oas.SecurityError is passed to next() with a status of 401 or 403.
+   * This should be called after the attachDataMW function.
+   * @param req {e.Request}
+   * @param res {e.Response}
+   * @param next {e.NextFunction}
+   * @returns {Promise<void>}
+   */
+  async securityMW(req, res, next) {
+    const data = req['oasData']
+    if(this.doc.security.length === 0) {
+      return next()
+    }
+    const securitySchemes = this.spec.doc.components.securitySchemes || {}
+    let status = 401
+    let message
+    try {
+      for(const requirement of this.doc.security) {
+        const principals = {}
+        let satisfied = true
+        for(const name of Object.getOwnPropertyNames(requirement)) {
+          const scheme = securitySchemes[name]
+          const handler = this.spec.securityHandlers[name]
+          if(scheme === undefined || typeof handler !== 'function') {
+            throw new Error(`security scheme ${name} is not defined for ${this.doc.operationId}`)
+          }
+          const credentials = utils.getCredentials(scheme, data.req)
+          let principal
+          if(credentials !== undefined) {
+            try {
+              principal = await handler(credentials, requirement[name], data)
+            } catch(error) {
+              if(!(error instanceof utils.SecurityError)) {
+                throw error
+              }
+              if(error.status === 403 && status !== 403) {
+                status = 403
+                message = error.message
+              }
+            }
+          }
+          if(principal === undefined || principal === null || principal === false) {
+            satisfied = false
+            break
+          }
+          principals[name] = principal
+        }
+        if(satisfied) {
+          data.security = principals
+          data.principal = principals[Object.getOwnPropertyNames(requirement)[0]]
+          return next()
+        }
+      }
+    } catch(error) {
+      return next(error)
+    }
+    next(new utils.SecurityError(this, status, message))
+  }
+
   /**
    * Middleware to validate the request based on documentation.
+   * Bodies of undeclared media types, and uploaded files whose media types do not match the contentType of their
+   * multipart encoding, are rejected with an oas.UnsupportedMediaTypeError.
+   * Before validating, defaults are applied and undeclared properties are removed when set by requestTransforms.
    * This should be called after the attachDataMW function.
    * @param req {e.Request}
    * @param res {e.Response}
@@ -376,10 +1187,33 @@ class Endpoint {
    */
   async requestValidationMW(req, res, next) {
     const data = req['oasData']
+    if(this.doc.requestBody !== undefined) {
+      if(data.contentType === undefined) {
+        const mediaType = (data.req.get('content-type') || '').split(';')[0].trim()
+        return next(new utils.UnsupportedMediaTypeError(this, mediaType, Object.keys(this._bodyContent)))
+      }
+      if(data.contentType.startsWith('multipart/') && data.body !== undefined) {
+        const encoding = utils.resolveRef(this.spec.doc, this.doc.requestBody).content[data.contentType].encoding || {}
+        for(const part of Object.getOwnPropertyNames(encoding).filter(n => encoding[n].contentType !== undefined)) {
+          const supported = encoding[part].contentType.split(',').map(t => t.trim())
+          const file = [].concat(data.body[part])
+            .find(f => f && typeof f.mimetype === 'string' && utils.matchMediaType(f.mimetype, supported) === undefined)
+          if(file !== undefined) {
+            return next(new utils.UnsupportedMediaTypeError(this, file.mimetype, supported, part))
+          }
+        }
+      }
+    }
+    const transforms = Object.assign({}, this.spec.requestTransforms, this._requestTransforms)
+    if(transforms.useDefaults || transforms.removeAdditional) {
+      const instance = data.asInstance()
+      utils.applySchemaTransforms(instance, this._requestSchema(data.contentType), this.spec, transforms)
+      data.body = instance.body
+    }
     try {
-      const result = await this.spec.validate(data.asInstance(), this._dataSchema, await this.spec.validatorOptions(this));
-      if(!result.valid) {
-        return next(utils.JSONValidationError.FromValidatorResult(this, 'request', result))
+      const error = await this.validateRequest(data.asInstance(), data.contentType)
+      if(error !== undefined) {
+        return next(error)
       }
     } catch(error) {
       return next(error)
@@ -387,9 +1221,54 @@ class Endpoint {
     next()
   }
 
+  /**
+   * Validate request data against the documentation of this endpoint.
+   * @param instance {{query:Object,params:Object,headers:Object,cookies:Object,body:*}} - See {@link oas.Data.asInstance}
+   * @param mediaType {string?} - The declared request body media type to validate the body against.
+   * @returns {Promise<oas.JSONValidationError|undefined>} - Returns undefined if the request is valid.
+   */
+  async validateRequest(instance, mediaType = undefined) {
+    const result = await this._validate(instance, this._requestSchema(mediaType));
+    if(!result.valid) {
+      return utils.JSONValidationError.FromValidatorResult(this, 'request', result)
+    }
+  }
+
+  /**
+   * @private
+   * @param mediaType {string|undefined}
+   * @returns {Object}
+   */
+  _requestSchema(mediaType) {
+    return (mediaType !== undefined && this._dataSchemas[mediaType]) || this._dataSchema
+  }
+
+  /**
+   * Validate an instance against a schema of this endpoint, using the validator of this endpoint and the schema
+   * with its references resolved, unless validator options are given.
+   * @private
+   * @param instance {*}
+   * @param schema {Object}
+   * @returns {Promise<ValidatorResult>}
+   */
+  async _validate(instance, schema) {
+    const options = await this.spec.validatorOptions(this) || {}
+    if(!this.spec.compileValidators || this._validator === null || Object.keys(options).length > 0) {
+      return this.spec.validate(instance, schema, options)
+    }
+    let resolved = this._resolved.get(schema)
+    if(resolved === undefined) {
+      resolved = utils.resolveRefs(schema, this.spec)
+      this._resolved.set(schema, resolved)
+    }
+    return this._validator.validate(instance, resolved, options)
+  }
+
   /**
    * Call the endpoint as if using a network call.
    * This should be called after the attachDataMW function.
+   * The afterHandler hooks run between the endpoint function and sending the response.
+   * When responses are validated with the 'enforce' policy, an invalid response is passed to next() instead of being sent.
    * After calling, the response will have been sent.
    * @param req {e.Request}
    * @param res {e.Response}
@@ -397,19 +1276,58 @@ class Endpoint {
    */
   async call(req, res, next) {
     const data = req['oasData']
+    const mockOptions = this.spec.mockOptions
     try {
-      const output = await this.func(data);
+      const output = mockOptions !== null && (!mockOptions.unhandledOnly || !this.hasHandler)
+        ? mock.mockResponse(this, data)
+        : await this.func(data);
       if(output instanceof utils.Response) {
-        Object.assign(data.response, output);
+        Object.assign(data.response, output, {headers: Object.assign({}, data.response.headers, output.headers)});
       } else if(output !== undefined) {
         data.response.body = output;
       }
+      for(const hook of this.hooksFor('afterHandler')) {
+        await hook(data)
+      }
     } catch(error) {
       return next(error)
     }
 
     const {response: {ignore, status, headers, body}} = data
     if(!res.writableEnded && !ignore) {
+      const content = this._responseContent[String(status)]
+      if(content !== undefined && body !== undefined && !res.get('content-type')
+        && !Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+        const mediaType = this._defaultMediaType(status, body)
+        if(mediaType !== undefined) {
+          headers['Content-Type'] = mediaType
+        }
+      }
+      const settings = this._responseValidationSettings()
+      if(settings.policy === 'enforce') {
+        req['oasResponseValidated'] = true
+        try {
+          const error = await this._checkResponse(data, settings)
+          if(error !== undefined) {
+            return next(error)
+          }
+        } catch(error) {
+          return next(error)
+        }
+      }
+      const streamed = this._streamOf(status, headers)
+      if(stream.isStream(body) || (streamed !== undefined && body instanceof Array)) {
+        req['oasResponseValidated'] = true
+        try {
+          const error = await this._sendStream(data, res, streamed, settings)
+          if(error !== undefined) {
+            return next(error)
+          }
+        } catch(error) {
+          return next(error)
+        }
+        return next()
+      }
       try {
         res.status(status).set(headers).send(body).end()
       } catch(error) {
@@ -420,7 +1338,133 @@ class Endpoint {
   }
 
   /**
-   * Validate the response body.
+   * Find the first media type documented for a status which suits a response body, to use as its default Content-Type.
+   * Buffers and streams are never labelled as JSON, and objects are only labelled as JSON or as a streamed media type.
+   * @private
+   * @param status {number}
+   * @param body {*}
+   * @returns {string|undefined} - undefined if no documented media type suits the body.
+   */
+  _defaultMediaType(status, body) {
+    const streamed = Object.keys(this._streams[String(status)] || {})
+    return Object.keys(this._responseContent[String(status)]).find(mediaType => {
+      const essence = mediaType.split(';')[0].trim().toLowerCase()
+      const json = essence === 'application/json' || essence.endsWith('+json')
+      if(Buffer.isBuffer(body) || body instanceof Uint8Array || stream.isStream(body)) {
+        return !json
+      }
+      if(body !== null && typeof body === 'object') {
+        return json || essence === '*/*' || streamed.includes(mediaType)
+      }
+      return true
+    })
+  }
+
+  /**
+   * Find the streamed response which is declared for a status and the Content-Type of the response headers.
+   * @private
+   * @param status {number}
+   * @param headers {Object.<string,string>}
+   * @returns {{items:Object}|{events:Object.<string,Object>}|undefined}
+   */
+  _streamOf(status, headers) {
+    const streams = this._streams[String(status)]
+    const contentType = Object.keys(headers).find(h => h.toLowerCase() === 'content-type')
+    if(streams === undefined || contentType === undefined) {
+      return undefined
+    }
+    return streams[utils.matchMediaType(headers[contentType], Object.keys(streams))]
+  }
+
+  /**
+   * Send a streamed response item by item, validating the items following the response validation policy.
+   * Under the 'enforce' policy, the stream ends before the first invalid item.
+   * Streams which are not declared by endpoint.streamResponse() or endpoint.eventStreamResponse() are sent as they are.
+   * @private
+   * @param data {oas.Data}
+   * @param res {e.Response}
+   * @param streamed {{items:Object}|{events:Object.<string,Object>}|undefined}
+   * @param settings {{policy:string,sampleRate:number,onViolation:(function(oas.JSONValidationError, oas.Data)|undefined)}}
+   * @returns {Promise<oas.JSONValidationError|undefined>} - The first invalid item, when it should be passed to next().
+   */
+  async _sendStream(data, res, streamed, settings) {
+    const {response: {status, headers, body}} = data
+    const events = streamed !== undefined && streamed.events !== undefined
+    const validate = streamed !== undefined && settings.policy !== 'off'
+      && (settings.policy !== 'sampled' || Math.random() < settings.sampleRate)
+    if(events && !Object.keys(headers).some(h => h.toLowerCase() === 'cache-control')) {
+      headers['Cache-Control'] = 'no-cache'
+    }
+    if(validate && settings.policy !== 'enforce') {
+      // Enforced responses were counted when their headers were validated by endpoint.call
+      this.responseStats.validated++
+    }
+    let violation
+    res.status(status).set(headers)
+    if(typeof res.flushHeaders === 'function') {
+      res.flushHeaders()
+    }
+    try {
+      for await (let item of body) {
+        if(res.writableEnded || res.destroyed) {
+          break
+        }
+        if(events) {
+          item = stream.toEvent(item)
+        }
+        if(validate && (events || (typeof item !== 'string' && !Buffer.isBuffer(item)))) {
+          const error = await this._validateItem(item, streamed)
+          if(error !== undefined) {
+            if(violation === undefined) {
+              this.responseStats.violations++
+              violation = error
+            }
+            if(settings.onViolation) {
+              await settings.onViolation(error, data)
+            }
+            if(settings.policy === 'enforce') {
+              break
+            }
+          }
+        }
+        await stream.write(res, events ? stream.formatEvent(item) : stream.formatItem(item))
+      }
+    } finally {
+      res.end()
+    }
+    if(violation !== undefined && (settings.policy === 'enforce' || !settings.onViolation)) {
+      return violation
+    }
+  }
+
+  /**
+   * Validate an item of a streamed response.
+   * @private
+   * @param item {*}
+   * @param streamed {{items:Object}|{events:Object.<string,Object>}}
+   * @returns {Promise<oas.JSONValidationError|undefined>}
+   */
+  async _validateItem(item, streamed) {
+    let instance = item
+    let schema = streamed.items
+    if(streamed.events !== undefined) {
+      const name = item.event !== undefined ? item.event : 'message'
+      schema = streamed.events[name]
+      if(schema === undefined) {
+        return new utils.JSONValidationError(this, 'response', item, [`event ${name} is not documented`])
+      }
+      instance = item.data
+    }
+    const result = await this._validate(instance, schema)
+    if(!result.valid) {
+      return utils.JSONValidationError.FromValidatorResult(this, 'response', result, 'body')
+    }
+  }
+
+  /**
+   * Validate the response body and the documented response headers, following the response validation policy.
+   * Responses which were validated by endpoint.call, under the 'enforce' policy, are not validated again.
+   * Responses sent by the endpoint function itself can only be reported.
    * This should be called after endpoint.call
    * @param req {e.Request}
    * @param res {e.Response}
@@ -428,19 +1472,140 @@ class Endpoint {
    * @returns {Promise<void>}
    */
   async responseValidationMW(req, res, next) {
-    const response = req['oasData'].response
-    const responseSchema = this._responseSchemas[response.status];
-    if(responseSchema !== undefined) {
+    const settings = this._responseValidationSettings()
+    if(settings.policy === 'off' || req['oasResponseValidated']
+      || (settings.policy === 'sampled' && Math.random() >= settings.sampleRate)) {
+      return next()
+    }
+    try {
+      const error = await this._checkResponse(req['oasData'], settings)
+      if(error !== undefined && !settings.onViolation) {
+        return next(error)
+      }
+    } catch(error) {
+      return next(error)
+    }
+    next()
+  }
+
+  /**
+   * @private
+   * @returns {{policy:string,sampleRate:number,onViolation:(function(oas.JSONValidationError, oas.Data)|undefined)}}
+   */
+  _responseValidationSettings() {
+    return Object.assign({}, this.spec.responseValidation, this._responseValidation)
+  }
+
+  /**
+   * Validate the response of a request, counting it and reporting a violation to onViolation.
+   * @private
+   * @param data {oas.Data}
+   * @param settings {{onViolation:(function(oas.JSONValidationError, oas.Data)|undefined)}}
+   * @returns {Promise<oas.JSONValidationError|undefined>}
+   */
+  async _checkResponse(data, settings) {
+    this.responseStats.validated++
+    const error = await this.validateResponse(data.response)
+    if(error !== undefined) {
+      this.responseStats.violations++
+      if(settings.onViolation) {
+        await settings.onViolation(error, data)
+      }
+    }
+    return error
+  }
+
+  /**
+   * Get the lifecycle hooks with the given name which apply to this endpoint, in the order in which they run.
+   * @param name {string}
+   * @returns {function[]}
+   */
+  hooksFor(name) {
+    const tagHooks = this.doc.tags.map(tag => (this.spec._tagHooks[tag] || {})[name] || [])
+    return [].concat(this.spec._hooks[name] || [], ...tagHooks, this._hooks[name] || [])
+  }
+
+  /**
+   * Create middleware which runs the lifecycle hooks with the given name.
+   * For onError, this is error middleware which passes the error on to the next error handler once the hooks have run.
+   * The afterHandler hooks are run by endpoint.call instead.
+   * This should be called after the attachDataMW function.
+   * @param name {string} - One of onRequest, beforeHandler, onResponse or onError.
+   * @returns {function(req:e.Request, res:e.Response, next:e.NextFunction)|function(err:Error, req:e.Request, res:e.Response, next:e.NextFunction)}
+   */
+  hookMW(name) {
+    if(!utils.hookNames.includes(name) || name === 'afterHandler') {
+      throw new Error(`no middleware for lifecycle hook: ${name}`)
+    }
+    if(name === 'onError') {
+      return async (err, req, res, next) => {
+        try {
+          for(const hook of this.hooksFor(name)) {
+            await hook(err, req['oasData'])
+          }
+        } catch(error) {
+          return next(error)
+        }
+        next(err)
+      }
+    }
+    return async (req, res, next) => {
       try {
-        const result = await this.spec.validate(response.body, responseSchema, await this.spec.validatorOptions(this));
-        if(!result.valid) {
-          return next(utils.JSONValidationError.FromValidatorResult(this, 'response', result))
+        for(const hook of this.hooksFor(name)) {
+          await hook(req['oasData'])
         }
       } catch(error) {
         return next(error)
       }
+      next()
+    }
+  }
+
+  /**
+   * Validate a response against the documentation of this endpoint.
+   * The body is validated against the schema for its Content-Type header, and documented headers are converted and validated.
+   * @param response {oas.Response}
+   * @returns {Promise<oas.JSONValidationError|undefined>} - Returns undefined if the response is valid.
+   */
+  async validateResponse(response) {
+    let responseSchema = this._responseSchemas[response.status];
+    const content = this._responseContent[response.status];
+    const contentType = Object.keys(response.headers).find(h => h.toLowerCase() === 'content-type');
+    if(content !== undefined && contentType !== undefined) {
+      const mediaType = utils.matchMediaType(response.headers[contentType], Object.keys(content));
+      if(mediaType === undefined) {
+        return new utils.JSONValidationError(this, 'response', response.body,
+          [`response content type ${response.headers[contentType]} is not documented for status ${response.status}`])
+      }
+      responseSchema = content[mediaType];
+    }
+    const typedHeaders = this._responseHeaders[response.status];
+    if(typedHeaders !== undefined) {
+      const headers = {};
+      try {
+        typedHeaders.forEach(h => {
+          const name = Object.keys(response.headers).find(n => n.toLowerCase() === h.doc.name.toLowerCase());
+          if(name !== undefined) {
+            const value = response.headers[name];
+            headers[h.doc.name] = typeof value === 'string'
+              ? utils.convertParamType(h, utils.deserializeParam(h, value))
+              : value;
+          }
+        });
+      } catch({param, item, types, path}) {
+        return utils.JSONValidationError.FromParameterType(this, param, item, 'response', types, path)
+      }
+      const result = await this._validate({headers}, this._responseHeaderSchemas[response.status]);
+      if(!result.valid) {
+        return utils.JSONValidationError.FromValidatorResult(this, 'response', result)
+      }
+    }
+    if(responseSchema !== undefined) {
+      const result = await this._validate(response.body, responseSchema);
+      if(!result.valid) {
+        return utils.JSONValidationError.FromValidatorResult(this, 'response', result, 'body')
+      }
     }
-    next()
   }
 }
 
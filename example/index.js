@@ -1,4 +1,4 @@
-const {OpenAPI, Response, JSONValidationError, toExpressPath, ref, arrayOf} = require('..');
+const {OpenAPI, Response, SecurityError, toProblem, ref, arrayOf} = require('..');
 const express = require('express');
 
 function bananaValidation(instance, schema, options, ctx) {
@@ -53,23 +53,10 @@ function addCustomValidationFunc(api) {
   }
 }
 
-function myMiddleware(req, res, next) {
-  console.log('hello from myMiddleware!')
-  next()
-}
-
-function errorHandlerMW(err, req, res, next) {
-  if(err instanceof JSONValidationError) {
-    err = {
-      message: [err.message, ...err.errors],
-      stack: err.stack,
-    }
-    res.status(400).json({errors: err.message})
-  } else {
-    res.status(500).json('internal server error')
-  }
-  const data = req.oasData
-  console.error({
+/** @type {oas.Hooks} */
+const hooks = {
+  onRequest: data => console.log(`hello from onRequest! (${data.endpoint.doc.operationId})`),
+  onError: (err, data) => console.error({
     operationId: data.endpoint.doc.operationId,
     method: data.req.method,
     url: data.req.url,
@@ -77,73 +64,90 @@ function errorHandlerMW(err, req, res, next) {
     status: data.response.status,
     resBody: data.response.body,
     error: err.message,
+    errors: toProblem(err).errors,
     stack: err.stack.split('\n'),
-  })
-  next()
-}
-
-function responseLoggerMW(req, res, next) {
-  console.log(`${req.oasData.endpoint.doc.operationId} (${req.url}): ${req.oasData.response.status}`)
-  next()
+  }),
+  onResponse: data => console.log(`${data.endpoint.doc.operationId} (${data.req.url}): ${data.response.status}`),
 }
 
 function main() {
   const port = 8001
   const app = express();
   app.use(express.json({strict: false}))
+  app.use(express.urlencoded({extended: true}))
+  app.use(express.text())
   app.listen(8080)
-  /** @param endpoint {oas.Endpoint} */
-  const routeCreator = endpoint => {
-    app[endpoint.method](toExpressPath(endpoint.path), [
-      endpoint.attachDataMW,
-      myMiddleware,
-      endpoint.requestValidationMW,
-      endpoint.call,
-      endpoint.responseValidationMW,
-      errorHandlerMW,
-      responseLoggerMW
-    ])
-  }
   const serverPath = `http://localhost:${port}`
-  const o = createApi(routeCreator, serverPath)
+  const o = createApi(serverPath)
+  o.mount(app, {hooks, tagHooks: {Tag2: {beforeHandler: data => console.log('validated a Tag2 request')}}})
   o.hostDocs(app)
   o.swaggerUi(app)
   app.listen(port, () => console.log(`listening at http://localhost:${port}/docs/`));
 }
 
-function createApi(routeCreator, serverPath) {
+function createApi(serverPath) {
   const o = new OpenAPI(
     'My API', 'Holds endpoints that do stuff for me', serverPath, '1.0.0', schemas,
     [
       {name: 'Tag1', description: 'This is the first tag'},
       {name: 'Tag2', description: 'This is the second tag'},
-    ], routeCreator);
+    ]);
 
-  o.responseAndErrorHandler = (data, response, error) => {
-    console.log(`${data.endpoint.doc.operationId}: ${data.req.method} ${data.req.url} | ${response.status}`)
-  }
+  o.securityScheme('apiKey', {type: 'apiKey', in: 'header', name: 'X-Api-Key'},
+    key => key === 'my-api-key' ? {name: 'api key user'} : null)
+  o.securityScheme('bearer', {type: 'http', scheme: 'bearer'}, (token, scopes, data) => {
+    if(token !== 'my-token') {
+      return null
+    }
+    if(!scopes.every(s => ['orange:write'].includes(s))) {
+      throw new SecurityError(data.endpoint, 403, `missing scopes: ${scopes.join(', ')}`)
+    }
+    return {name: 'token user'}
+  })
+
+  o.requestTransforms.useDefaults = true
 
   o.newEndpoint('getStuff', 'GET', '/apple', 'Get some apples', 'Like, really get some apples', ['Tag1'])
-    .parameter('query', 'name', 'filter by name', false, {type: 'string'}, 'string')
-    .parameter('query', 'activeOnly', 'onlyShowActives', false, {type: 'boolean', default: true}, 'bool')
-    .parameter('query', 'limit', 'maximum number to retrieve', true, {type: 'integer'}, 'number')
+    .parameter('query', 'name', 'filter by name', false, {type: 'string'})
+    .parameter('query', 'activeOnly', 'onlyShowActives', false, {type: 'boolean', default: true})
+    .parameter('query', 'limit', 'maximum number to retrieve', true, {type: 'integer'})
+    .parameter('query', 'ids', 'filter by ids', false, arrayOf({type: 'integer'}), {explode: false})
     .response(200, 'Stuff found', arrayOf(ref('Apple')))
     .define(async data => {
-      console.log(data.query.name, data.query.activeOnly === undefined || data.query.activeOnly);
+      console.log(data.query.name, data.query.activeOnly);
       return new Response(200, [data.query.name]);
     });
 
   o.newEndpoint('putBanana', 'PUT', '/banana', 'Create or update a banana', '', ['Tag2'])
     .requestBody('apple', true, ref('Banana'))
+    .requestBody('apple', true, ref('Banana'), 'application/x-www-form-urlencoded')
     .response(200, 'Updated')
     .response(201, 'Created')
+    .responseHeader(201, 'Location', 'The url of the created banana', true, {type: 'string'})
     .define(async data => {
       console.log(data.body);
-      return new Response(201);
+      return new Response(201, undefined, {headers: {Location: '/banana'}});
+    });
+
+  o.newEndpoint('putBananaPhoto', 'PUT', '/banana/photo', 'Upload a photo of a banana', '', ['Tag2'])
+    .requestBody('the photo', true, {
+      type: 'object',
+      required: ['photo'],
+      properties: {
+        caption: {type: 'string'},
+        photo: {type: 'string', format: 'binary'}
+      }
+    }, 'multipart/form-data', {photo: {contentType: 'image/png, image/jpeg'}})
+    .requestBody('the photo', true, {type: 'string', format: 'binary'}, 'image/*')
+    .response(200, 'The photo', {type: 'string', format: 'binary'}, 'image/png')
+    .response(200, 'The photo', {type: 'string'}, 'text/plain')
+    .define(async data => {
+      return new Response(200, 'a photo of a banana', {headers: {'Content-Type': 'text/plain'}});
     });
 
   o.newEndpoint('getCarrot', 'GET', '/carrot/{id}', 'Get a single carrot by ID', 'this is a description', ['Tag2'])
-    .parameter('path', 'id', 'The id to retrieve', true, {type: 'integer'}, 'number')
+    .parameter('path', 'id', 'The id to retrieve', true, {type: 'integer'})
+    .parameter('cookie', 'session', 'The session token', false, {type: 'string'})
     .response(200, 'Found the carrot', ref('Carrot'))
     .response(204, 'Apple id not found')
     .define(async data => {
@@ -155,11 +159,16 @@ function createApi(routeCreator, serverPath) {
     .requestBody('orange to create', true, ref('Orange'))
     .response(201, 'Created the orange')
     .response(409, 'Orange already exists')
+    .security({bearer: ['orange:write']})
+    .security({apiKey: []})
     .define(async data => {
       throw new Error(data.endpoint.doc.operationId)
     })
 
   addCustomValidationFunc(o)
+  if(process.env.MOCK) {
+    o.enableMocks({seed: process.env.MOCK})
+  }
   console.log('validateSpec:', o.validateSpec())
   return o
 }
@@ -2,15 +2,28 @@
  * @type {oas.OpenAPI}
  */
 const OpenAPI = require('./openapi');
-const {Response, Data, JSONValidationError, toExpressPath, ref, arrayOf} = require('./utils');
+const {generateTypes} = require('./typegen');
+const {diffSpecs, summarizeDiff} = require('./diff');
+const {toProblem} = require('./problem');
+const {koaAdapter, fastifyAdapter, nodeAdapter} = require('./adapters');
+const {Response, Data, JSONValidationError, SecurityError, UnsupportedMediaTypeError, toExpressPath, ref, arrayOf} = require('./utils');
 
 exports.OpenAPI = OpenAPI;
 exports.Response = Response;
 exports.Data = Data;
 exports.JSONValidationError = JSONValidationError;
+exports.SecurityError = SecurityError;
+exports.UnsupportedMediaTypeError = UnsupportedMediaTypeError;
 exports.toExpressPath = toExpressPath;
 exports.ref = ref;
 exports.arrayOf = arrayOf;
+exports.generateTypes = generateTypes;
+exports.diffSpecs = diffSpecs;
+exports.summarizeDiff = summarizeDiff;
+exports.toProblem = toProblem;
+exports.koaAdapter = koaAdapter;
+exports.fastifyAdapter = fastifyAdapter;
+exports.nodeAdapter = nodeAdapter;
 
 /**
  * Types belonging to package oas (Open API Specification)
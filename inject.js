@@ -0,0 +1,340 @@
+const http = require('http');
+const utils = require('./utils');
+
+/**
+ * A request to run through an endpoint without a server.
+ * @typedef {Object} oas.InjectRequest
+ * @property {string} method
+ * @property {string} url - The path and query string of the request, such as /carrot/1?name=abc
+ * @property {Object.<string,string>?} headers
+ * @property {*?} body - The body, as it would be after body parsing middleware such as express.json().
+ * @property {Object?} files - Uploaded files, as they would be after multipart middleware such as multer.
+ */
+
+/**
+ * The outcome of an injected request.
+ * @typedef {Object} oas.InjectResult
+ * @property {oas.Response} response - The response which was recorded for the request.
+ *   The body of a streamed response is what was written, as a string, or as a Buffer when buffers were written.
+ * @property {Error|undefined} error - The error which was passed to next(), such as an oas.JSONValidationError.
+ * @property {oas.Data|undefined} data - The data object for the request.
+ */
+
+/**
+ * Create a request object which supports the parts of the express request used by an endpoint.
+ * @param request {oas.InjectRequest}
+ * @param params {Object.<string,string>}
+ * @returns {Object}
+ */
+function fakeRequest(request, params) {
+  const headers = {};
+  Object.getOwnPropertyNames(request.headers || {}).forEach(h => headers[h.toLowerCase()] = request.headers[h]);
+  if(request.body !== undefined && headers['content-type'] === undefined) {
+    headers['content-type'] = typeof request.body === 'string' ? 'text/plain' : 'application/json';
+  }
+  const url = new URL(request.url, 'http://localhost');
+  const query = {};
+  url.searchParams.forEach((v, k) => {
+    if(query[k] === undefined) {
+      query[k] = v;
+    } else {
+      query[k] = [].concat(query[k], v);
+    }
+  });
+  return {
+    method: request.method.toUpperCase(),
+    url: request.url,
+    originalUrl: request.url,
+    path: url.pathname,
+    headers,
+    query,
+    params,
+    body: request.body,
+    files: request.files,
+    get: name => headers[name.toLowerCase()],
+    header: name => headers[name.toLowerCase()],
+  };
+}
+
+/**
+ * Opens the real response of a server once the headers of a streamed response are flushed, to write the stream to.
+ * @callback oas.ResponseSink
+ * @param status {number}
+ * @param headers {Object.<string,string>} - The headers of the response, with lowercase names.
+ * @returns {stream.Writable}
+ */
+
+/**
+ * Create a response object which supports the parts of the express response used by an endpoint.
+ * Without a sink, the written chunks of streamed responses are recorded in res.written.
+ * With a sink, they are written to the stream it opens instead, as they would be by express.
+ * @param sink {oas.ResponseSink?}
+ * @returns {Object}
+ */
+function fakeResponse(sink = undefined) {
+  const res = {
+    stream: undefined,
+    statusCode: 200,
+    statusMessage: undefined,
+    headers: {},
+    body: undefined,
+    written: [],
+    writableEnded: false,
+    headersSent: false,
+    get destroyed() {
+      return res.stream !== undefined && res.stream.destroyed;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    sendStatus(code) {
+      res.statusCode = code;
+      res.statusMessage = http.STATUS_CODES[code] || String(code);
+      return res.send(res.statusMessage);
+    },
+    set(field, val = undefined) {
+      if(val === undefined) {
+        Object.getOwnPropertyNames(field).forEach(k => res.headers[k.toLowerCase()] = field[k]);
+      } else {
+        res.headers[field.toLowerCase()] = val;
+      }
+      return res;
+    },
+    header(field, val = undefined) {
+      return res.set(field, val);
+    },
+    get(field) {
+      return res.headers[field.toLowerCase()];
+    },
+    json(body) {
+      if(res.get('content-type') === undefined) {
+        res.set('content-type', 'application/json');
+      }
+      res.body = body;
+      return res.end();
+    },
+    send(body) {
+      if(typeof body === 'object' && body !== null && !Buffer.isBuffer(body)) {
+        return res.json(body);
+      }
+      res.body = body;
+      return res.end();
+    },
+    flushHeaders() {
+      res.headersSent = true;
+      if(sink !== undefined && res.stream === undefined) {
+        const headers = {};
+        Object.getOwnPropertyNames(res.headers).forEach(h => headers[h] = String(res.headers[h]));
+        res.stream = sink(res.statusCode, headers);
+      }
+    },
+    once(event, listener) {
+      if(res.stream !== undefined) {
+        res.stream.once(event, listener);
+      }
+      return res;
+    },
+    removeListener(event, listener) {
+      if(res.stream !== undefined) {
+        res.stream.removeListener(event, listener);
+      }
+      return res;
+    },
+    write(chunk) {
+      res.flushHeaders();
+      if(res.stream !== undefined) {
+        return res.stream.write(chunk);
+      }
+      res.written.push(chunk);
+      res.body = res.written.every(c => typeof c === 'string')
+        ? res.written.join('')
+        : Buffer.concat(res.written.map(c => Buffer.from(c)));
+      return true;
+    },
+    end(chunk = undefined) {
+      if(res.stream !== undefined) {
+        res.stream.end(chunk);
+      } else if(chunk !== undefined) {
+        res.body = chunk;
+      }
+      res.headersSent = true;
+      res.writableEnded = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+/**
+ * Run middleware in order, as a router would.
+ * Stops at the first middleware which passes an error to next() or throws.
+ * @param middleware {function(req:*, res:*, next:function(Error?))[]}
+ * @param req {Object}
+ * @param res {Object}
+ * @returns {Promise<Error|undefined>}
+ */
+async function runMiddleware(middleware, req, res) {
+  for(const mw of middleware) {
+    const error = await new Promise(resolve => {
+      try {
+        const result = mw(req, res, resolve);
+        if(result && typeof result.catch === 'function') {
+          result.catch(resolve);
+        }
+      } catch(error) {
+        resolve(error);
+      }
+    });
+    if(error !== undefined) {
+      return error;
+    }
+  }
+}
+
+/**
+ * Find the endpoint which handles a method and path, among the given endpoints.
+ * Paths without templated segments are preferred over templated paths.
+ * Templated segments which are not valid percent-encodings do not match.
+ * When versions are selected by a header or media type, the headers choose between the versions of the operation.
+ * @param endpoints {oas.Endpoint[]}
+ * @param method {string}
+ * @param path {string}
+ * @param headers {Object.<string,string>?}
+ * @returns {{endpoint:oas.Endpoint,params:Object.<string,string>}|undefined}
+ */
+function matchRoute(endpoints, method, path, headers = {}) {
+  method = method.toLowerCase();
+  const matches = [];
+  endpoints.forEach(endpoint => {
+    if(endpoint.method !== method) {
+      return;
+    }
+    const names = [];
+    const pattern = endpoint.path
+      .split(/({[^}]+})/)
+      .map(part => {
+        if(part.startsWith('{') && part.endsWith('}')) {
+          names.push(part.slice(1, part.length - 1));
+          return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    const match = new RegExp(`^${pattern}/?$`).exec(path);
+    if(match) {
+      const params = {};
+      try {
+        names.forEach((n, i) => params[n] = decodeURIComponent(match[i + 1]));
+      } catch(error) {
+        // A malformed percent-encoding, such as %E0%A4%A
+        return;
+      }
+      matches.push({endpoint, params});
+    }
+  });
+  matches.sort((a, b) => Object.keys(a.params).length - Object.keys(b.params).length);
+  if(matches.length === 0) {
+    return undefined;
+  }
+  const lowercase = {};
+  Object.getOwnPropertyNames(headers).forEach(h => lowercase[h.toLowerCase()] = headers[h]);
+  const endpoint = matches[0].endpoint.spec.selectVersion(matches[0].endpoint, lowercase);
+  return endpoint !== undefined ? {endpoint, params: matches[0].params} : undefined;
+}
+
+/**
+ * Run a request through the standard pipeline of an endpoint, using the request and response objects of this module.
+ * The lifecycle hooks run as they do for endpoints registered with spec.mount(), except for onResponse,
+ * which the caller runs using runHooks() once the response is final.
+ * @param endpoint {oas.Endpoint}
+ * @param request {oas.InjectRequest}
+ * @param params {Object.<string,string>}
+ * @param sink {oas.ResponseSink?} - Where to write streamed responses, see fakeResponse().
+ * @returns {Promise<{req:Object,res:Object,error:(Error|undefined),data:(oas.Data|undefined)}>}
+ */
+async function run(endpoint, request, params, sink = undefined) {
+  const req = fakeRequest(request, params);
+  const res = fakeResponse(sink);
+  let error = await runMiddleware([
+    endpoint.attachDataMW,
+    endpoint.hookMW('onRequest'),
+    endpoint.securityMW,
+    endpoint.requestValidationMW,
+    endpoint.hookMW('beforeHandler'),
+    endpoint.call,
+    endpoint.responseValidationMW,
+  ], req, res);
+  const data = req['oasData'];
+  if(error !== undefined && error !== 'route' && data !== undefined) {
+    try {
+      await runHooks(endpoint, 'onError', error, data);
+    } catch(hookError) {
+      error = hookError;
+    }
+  }
+  return {req, res, error, data};
+}
+
+/**
+ * Run the lifecycle hooks of an endpoint with the given name, in order.
+ * @param endpoint {oas.Endpoint}
+ * @param name {string}
+ * @param args {...*} - The arguments of the hooks.
+ * @returns {Promise<void>}
+ */
+async function runHooks(endpoint, name, ...args) {
+  for(const hook of endpoint.hooksFor(name)) {
+    await hook(...args);
+  }
+}
+
+module.exports = {
+  /**
+   * Run a request through the standard pipeline of an endpoint without a server.
+   * The pipeline is attachDataMW, securityMW, requestValidationMW, call, and responseValidationMW.
+   * @param endpoint {oas.Endpoint}
+   * @param request {oas.InjectRequest}
+   * @param params {Object.<string,string>?} - The path parameters of the request.
+   * @returns {Promise<oas.InjectResult>}
+   */
+  inject: async (endpoint, request, params = {}) => {
+    let {res, error, data} = await run(endpoint, request, params);
+    if(data !== undefined && res.written.length) {
+      data.response.body = res.body;
+    }
+    if(data !== undefined) {
+      try {
+        await runHooks(endpoint, 'onResponse', data);
+      } catch(hookError) {
+        error = error || hookError;
+      }
+    }
+    return {
+      response: data !== undefined ? data.response : new utils.Response(res.statusCode, res.body, {headers: res.headers}),
+      error,
+      data,
+    };
+  },
+
+  run,
+
+  runHooks,
+
+  /**
+   * Find the endpoint of a spec which handles a method and path. See matchRoute().
+   * @param spec {oas.OpenAPI}
+   * @param method {string}
+   * @param path {string}
+   * @param headers {Object.<string,string>?}
+   * @returns {{endpoint:oas.Endpoint,params:Object.<string,string>}|undefined}
+   */
+  resolveRoute: (spec, method, path, headers = {}) => {
+    const endpoints = Object.getOwnPropertyNames(spec.endpoints)
+      .map(id => spec.endpoints[id])
+      .filter(endpoint => spec.doc.paths[endpoint.path] !== undefined);
+    return matchRoute(endpoints, method, path, headers);
+  },
+
+  matchRoute,
+};
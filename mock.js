@@ -0,0 +1,441 @@
+const utils = require('./utils');
+
+const words = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor'];
+
+/**
+ * Create a regular expression in the same way as the jsonschema Validator.
+ * @param pattern {string}
+ * @returns {RegExp}
+ */
+function toRegExp(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch(error) {
+    return new RegExp(pattern);
+  }
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * @param seed {string|number}
+ * @returns {function():number} - Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let h = 1779033703;
+  String(seed).split('').forEach(c => {
+    h = Math.imul(h ^ c.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  });
+  return () => {
+    h = (h + 0x6D2B79F5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The characters which patterns may generate for wildcards and negated character classes.
+ * @type {string[]}
+ */
+const printable = Array.from({length: 95}, (x, i) => String.fromCharCode(32 + i));
+
+/**
+ * The characters matched by the character class escapes of regular expressions.
+ * @type {Object.<string,string[]>}
+ */
+const classEscapes = {
+  d: printable.filter(c => /\d/.test(c)),
+  w: printable.filter(c => /\w/.test(c)),
+  s: [' '],
+  D: printable.filter(c => /\D/.test(c)),
+  W: printable.filter(c => /\W/.test(c)),
+  S: printable.filter(c => /\S/.test(c)),
+};
+
+/**
+ * Generate a string which matches a regular expression.
+ * Supports literals, escapes, character classes, groups, alternatives, anchors and quantifiers,
+ * which covers the patterns commonly found in schemas. Lookarounds and backreferences are not supported.
+ * @param pattern {string}
+ * @param random {function():number}
+ * @param repeat {number} - The most times that unbounded quantifiers, such as +, repeat beyond their minimum.
+ * @returns {string}
+ */
+function mockPattern(pattern, random, repeat) {
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = list => list[int(0, list.length - 1)];
+  let i = 0;
+
+  const escaped = c => classEscapes[c] || [{n: '\n', r: '\r', t: '\t', f: '\f', v: '\v'}[c] || c];
+  const characterClass = () => {
+    const negated = pattern[i] === '^';
+    if(negated) {
+      i++;
+    }
+    let chars = [];
+    while(i < pattern.length && pattern[i] !== ']') {
+      let from = pattern[i++];
+      if(from === '\\') {
+        const set = escaped(pattern[i++]);
+        if(set.length > 1) {
+          chars = chars.concat(set);
+          continue;
+        }
+        from = set[0];
+      }
+      if(pattern[i] === '-' && pattern[i + 1] !== ']' && i + 1 < pattern.length) {
+        i++;
+        let to = pattern[i++];
+        if(to === '\\') {
+          to = escaped(pattern[i++])[0];
+        }
+        for(let c = from.charCodeAt(0); c <= to.charCodeAt(0); c++) {
+          chars.push(String.fromCharCode(c));
+        }
+      } else {
+        chars.push(from);
+      }
+    }
+    i++;
+    return negated ? printable.filter(c => !chars.includes(c)) : chars;
+  };
+  const atom = () => {
+    const c = pattern[i++];
+    switch(c) {
+      case '(': {
+        if(pattern[i] === '?') {
+          if(pattern[i + 1] !== ':') {
+            throw new Error('lookarounds are not supported');
+          }
+          i += 2;
+        }
+        const group = alternatives();
+        i++;
+        return group;
+      }
+      case '[': {
+        const chars = characterClass();
+        return () => pick(chars);
+      }
+      case '\\': {
+        const e = pattern[i++];
+        if(/[1-9]/.test(e)) {
+          throw new Error('backreferences are not supported');
+        }
+        if(e === 'b' || e === 'B') {
+          return () => '';
+        }
+        const set = escaped(e);
+        return () => pick(set);
+      }
+      case '.':
+        return () => pick(printable);
+      case '^':
+      case '$':
+        return () => '';
+    }
+    return () => c;
+  };
+  const quantified = () => {
+    const generate = atom();
+    const q = pattern[i];
+    const bounds = /^{(\d+)(,(\d*))?}/.exec(pattern.slice(i));
+    let min;
+    let max;
+    if(q === '*' || q === '+' || q === '?') {
+      i++;
+      min = q === '+' ? 1 : 0;
+      max = q === '?' ? 1 : min + repeat;
+    } else if(bounds !== null) {
+      i += bounds[0].length;
+      min = Number(bounds[1]);
+      max = bounds[2] === undefined ? min : bounds[3] === '' ? min + repeat : Number(bounds[3]);
+    } else {
+      return generate;
+    }
+    if(pattern[i] === '?') {
+      // A lazy quantifier matches the same strings
+      i++;
+    }
+    return () => Array.from({length: int(min, max)}, generate).join('');
+  };
+  const sequence = () => {
+    const parts = [];
+    while(i < pattern.length && pattern[i] !== '|' && pattern[i] !== ')') {
+      parts.push(quantified());
+    }
+    return () => parts.map(part => part()).join('');
+  };
+  const alternatives = () => {
+    const options = [sequence()];
+    while(pattern[i] === '|') {
+      i++;
+      options.push(sequence());
+    }
+    return () => pick(options)();
+  };
+
+  return alternatives()();
+}
+
+/**
+ * Generate a string which matches the pattern and satisfies the length constraints of a schema.
+ * The default of the schema is used when it matches, and otherwise strings are generated from the pattern.
+ * @param schema {Object}
+ * @param random {function():number}
+ * @returns {string}
+ */
+function mockPatternString(schema, random) {
+  const regex = toRegExp(schema.pattern);
+  const minLength = schema.minLength || 0;
+  const maxLength = schema.maxLength !== undefined ? schema.maxLength : Infinity;
+  const valid = s => typeof s === 'string' && regex.test(s) && s.length >= minLength && s.length <= maxLength;
+  if(valid(schema.default)) {
+    return schema.default;
+  }
+  let reason = 'no attempt satisfied the length constraints';
+  try {
+    for(let attempt = 0; attempt < 20; attempt++) {
+      const s = mockPattern(schema.pattern, random, Math.max(3, minLength));
+      if(valid(s)) {
+        return s;
+      }
+    }
+  } catch(error) {
+    reason = error.message;
+  }
+  throw new Error(`could not mock a string matching the pattern ${schema.pattern} (${reason}); add an example to its schema`);
+}
+
+/**
+ * Generate a string which satisfies the format, pattern and length constraints of a schema.
+ * @param schema {Object}
+ * @param random {function():number}
+ * @returns {string}
+ */
+function mockString(schema, random) {
+  if(schema.pattern !== undefined) {
+    return mockPatternString(schema, random);
+  }
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const date = new Date(Date.UTC(2000 + int(0, 30), int(0, 11), int(1, 28), int(0, 23), int(0, 59), int(0, 59)));
+  switch(schema.format) {
+    case 'date-time':
+      return date.toISOString();
+    case 'date':
+      return date.toISOString().slice(0, 10);
+    case 'time':
+      return date.toISOString().slice(11, 19);
+    case 'email':
+      return `${words[int(0, words.length - 1)]}@example.com`;
+    case 'hostname':
+      return `${words[int(0, words.length - 1)]}.example.com`;
+    case 'uri':
+    case 'url':
+      return `https://example.com/${words[int(0, words.length - 1)]}`;
+    case 'uuid':
+      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const n = int(0, 15);
+        return (c === 'x' ? n : (n & 0x3) | 0x8).toString(16);
+      });
+    case 'ipv4':
+      return [int(1, 254), int(0, 255), int(0, 255), int(1, 254)].join('.');
+    case 'ipv6':
+      return Array.from({length: 8}, () => int(0, 65535).toString(16)).join(':');
+    case 'byte':
+      return Buffer.from(words[int(0, words.length - 1)]).toString('base64');
+  }
+  const minLength = schema.minLength || 0;
+  const maxLength = schema.maxLength !== undefined ? schema.maxLength : Math.max(minLength, 24);
+  let s = words[int(0, words.length - 1)];
+  while(s.length < minLength) {
+    s += ` ${words[int(0, words.length - 1)]}`;
+  }
+  return s.slice(0, maxLength);
+}
+
+/**
+ * Generate a number which satisfies the range constraints of a schema.
+ * @param schema {Object}
+ * @param random {function():number}
+ * @param integer {boolean}
+ * @returns {number}
+ */
+function mockNumber(schema, random, integer) {
+  const step = schema.multipleOf || (integer ? 1 : 0);
+  let min = schema.minimum !== undefined ? schema.minimum : (schema.maximum !== undefined ? schema.maximum - 100 : 0);
+  let max = schema.maximum !== undefined ? schema.maximum : min + 100;
+  if(typeof schema.exclusiveMinimum === 'number') {
+    min = schema.exclusiveMinimum + (step || Number.EPSILON * Math.max(1, Math.abs(schema.exclusiveMinimum)));
+  } else if(schema.exclusiveMinimum === true) {
+    min += step || 0.01;
+  }
+  if(typeof schema.exclusiveMaximum === 'number') {
+    max = schema.exclusiveMaximum - (step || Number.EPSILON * Math.max(1, Math.abs(schema.exclusiveMaximum)));
+  } else if(schema.exclusiveMaximum === true) {
+    max -= step || 0.01;
+  }
+  if(step) {
+    const first = Math.ceil(min / step);
+    const last = Math.floor(max / step);
+    return (first + Math.floor(random() * (Math.max(first, last) - first + 1))) * step;
+  }
+  return Math.round((min + random() * (max - min)) * 100) / 100;
+}
+
+/**
+ * Generate a value which is valid for a jsonschema object.
+ * Examples are preferred when they are present in the schema.
+ * @param schema {Object|boolean|undefined} - A schema in jsonschema format, as stored by the endpoints.
+ * @param spec {oas.OpenAPI}
+ * @param random {function():number}
+ * @param depth {number} - The number of references which have been followed, to stop recursive schemas.
+ * @returns {*}
+ */
+function mockValue(schema, spec, random, depth = 0) {
+  if(schema === undefined || schema === null || typeof schema !== 'object') {
+    return schema === false ? undefined : null;
+  }
+  const pick = list => list[Math.floor(random() * list.length)];
+  if(schema.example !== undefined) {
+    return schema.example;
+  }
+  if(schema.examples instanceof Array && schema.examples.length) {
+    return pick(schema.examples);
+  }
+  if(schema.const !== undefined) {
+    return schema.const;
+  }
+  if(schema.enum instanceof Array && schema.enum.length) {
+    return pick(schema.enum);
+  }
+  if(typeof schema.$ref === 'string') {
+    const referenced = spec._jsonschemas[schema.$ref.replace(/^\//, '')];
+    if(referenced === undefined) {
+      throw new Error(`missing schema for reference: ${schema.$ref}`);
+    }
+    return depth > 5 ? null : mockValue(referenced, spec, random, depth + 1);
+  }
+  if(schema.allOf instanceof Array) {
+    const values = schema.allOf.map(s => mockValue(s, spec, random, depth));
+    const rest = Object.assign({}, schema);
+    delete rest.allOf;
+    if(Object.getOwnPropertyNames(rest).some(k => k !== 'description' && k !== 'title' && k !== 'x-validator')) {
+      values.push(mockValue(rest, spec, random, depth));
+    }
+    return values.every(v => typeof v === 'object' && v !== null && !(v instanceof Array))
+      ? Object.assign({}, ...values)
+      : values[values.length - 1];
+  }
+  const alternatives = schema.oneOf || schema.anyOf;
+  if(alternatives instanceof Array && alternatives.length) {
+    const nonNull = alternatives.filter(s => !(s && s.type === 'null'));
+    return mockValue(depth > 5 || nonNull.length === 0 ? pick(alternatives) : pick(nonNull), spec, random, depth);
+  }
+
+  let type = schema.type instanceof Array ? (schema.type.find(t => t !== 'null') || 'null') : schema.type;
+  if(type === undefined) {
+    type = schema.properties || schema.additionalProperties ? 'object' : schema.items ? 'array' : undefined;
+  }
+  switch(type) {
+    case 'string':
+      return mockString(schema, random);
+    case 'integer':
+      return mockNumber(schema, random, true);
+    case 'number':
+      return mockNumber(schema, random, false);
+    case 'boolean':
+      return random() < 0.5;
+    case 'null':
+      return null;
+    case 'array': {
+      if(schema.items instanceof Array) {
+        return schema.items.map(s => mockValue(s, spec, random, depth));
+      }
+      const minItems = schema.minItems || 0;
+      const maxItems = schema.maxItems !== undefined ? schema.maxItems : minItems + 3;
+      const fewest = depth > 5 ? minItems : Math.min(Math.max(minItems, 1), maxItems);
+      const length = fewest + Math.floor(random() * (Math.min(maxItems, fewest + 2) - fewest + 1));
+      return Array.from({length}, () => mockValue(schema.items, spec, random, depth));
+    }
+    case 'object': {
+      const o = {};
+      const required = schema.required || [];
+      const properties = schema.properties || {};
+      Object.getOwnPropertyNames(properties)
+        .filter(k => required.includes(k) || depth <= 5)
+        .forEach(k => o[k] = mockValue(properties[k], spec, random, depth));
+      return o;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  mockValue,
+
+  /**
+   * Create a response for an endpoint from its documented responses.
+   * The status is taken from the request header named by spec.mockOptions.statusHeader,
+   * or else it is the first documented 2XX status, or the first documented status.
+   * @param endpoint {oas.Endpoint}
+   * @param data {oas.Data}
+   * @returns {oas.Response}
+   */
+  mockResponse: (endpoint, data) => {
+    const options = endpoint.spec.mockOptions;
+    const codes = Object.getOwnPropertyNames(endpoint.doc.responses).filter(c => /^[1-5][0-9][0-9]$/.test(c));
+    const requested = data.req.get(options.statusHeader);
+    let code;
+    if(requested) {
+      code = codes.find(c => c === String(requested).trim());
+      if(code === undefined) {
+        throw new Error(`mock status ${requested} is not documented for ${endpoint.doc.operationId}`);
+      }
+    } else {
+      code = codes.find(c => c.startsWith('2')) || codes[0];
+    }
+    if(code === undefined) {
+      return new utils.Response(204);
+    }
+
+    const random = seededRandom(`${options.seed}:${endpoint.doc.operationId}:${code}`);
+    const headers = {};
+    const content = endpoint._responseContent[code];
+    let body;
+    if(content !== undefined) {
+      const mediaTypes = Object.keys(content);
+      const mediaType = mediaTypes.find(t => t === 'application/json') || mediaTypes[0];
+      const media = utils.resolveRef(endpoint.spec.doc, endpoint.doc.responses[code]).content[mediaType];
+      const streamed = (endpoint._streams[code] || {})[mediaType];
+      if(media.example !== undefined) {
+        body = media.example;
+      } else if(media.examples !== undefined && Object.keys(media.examples).length) {
+        body = utils.resolveRef(endpoint.spec.doc, media.examples[Object.keys(media.examples)[0]]).value;
+      } else if(streamed !== undefined && streamed.items !== undefined) {
+        body = [0, 1].map(() => mockValue(streamed.items, endpoint.spec, random));
+      } else if(streamed !== undefined) {
+        const names = Object.keys(streamed.events);
+        body = [0, 1].map(() => {
+          const event = names[Math.floor(random() * names.length)];
+          return {event, data: mockValue(streamed.events[event], endpoint.spec, random)};
+        });
+      } else {
+        body = mockValue(content[mediaType], endpoint.spec, random);
+      }
+      if(mediaType.startsWith('text/') && streamed === undefined && typeof body !== 'string') {
+        body = String(body);
+      }
+      headers['Content-Type'] = mediaType.includes('*') ? 'application/octet-stream' : mediaType;
+    }
+    const typedHeaders = endpoint._responseHeaders[code] || [];
+    typedHeaders.forEach(h => {
+      const value = mockValue(h.jsonschema, endpoint.spec, random);
+      headers[h.doc.name] = typeof value === 'object' && value !== null
+        ? utils.serializeParam(h, value)
+        : String(value);
+    });
+    return new utils.Response(parseInt(code), body, {headers});
+  },
+};
@@ -1,6 +1,10 @@
 const jsonschema = require('jsonschema');
 const utils = require('./utils');
 const Endpoint = require('./endpoint');
+const Callback = require('./callback');
+const client = require('./client');
+const inject = require('./inject');
+const problem = require('./problem');
 const swaggerUiExpress = require('swagger-ui-express');
 
 /**
@@ -14,17 +18,26 @@ class OpenAPI {
    * @param description {string}
    * @param serverUrl {string}
    * @param version {string} - A version in the following format: major.minor.patch
-   * @param schemas {Object<string,Object>}
+   * @param schemas {Object<string,Object>} - Unless it is given here, the ProblemDetails schema is added once it is referenced,
+   *   such as by endpoint.response(400, 'Invalid request', ref('ProblemDetails'), 'application/problem+json'),
+   *   or once problemHandler() is called.
    * @param tags {{name:string,description:string}[]}
-   * @param routeCreator {function(oas.Endpoint)}
+   * @param routeCreator {function(oas.Endpoint)?} - Omit this to register the routes using mount() instead.
+   * @param options {Object?}
+   * @param options.openapi {string?} - The Open API version to output, either 3.0.0 (default) or 3.1.0.
+   *   Schemas in 3.1 documents are output as JSON Schema 2020-12.
    */
-  constructor(title, description, serverUrl, version, schemas, tags, routeCreator) {
+  constructor(title, description, serverUrl, version, schemas, tags, routeCreator, options = {}) {
+    const openapi = options.openapi || '3.0.0';
+    if(!/^3\.[01]\.\d+$/.test(openapi)) {
+      throw new Error(`unsupported Open API version: ${openapi} (must be 3.0.x or 3.1.x)`);
+    }
 
     /**
      * The documentation for this API, in Open API 3 format.
      */
     this.doc = {
-      openapi: '3.0.0',
+      openapi,
       info: {
         title,
         description,
@@ -40,6 +53,9 @@ class OpenAPI {
         schemas: {}
       }
     };
+    if(openapi.startsWith('3.1')) {
+      this.doc.webhooks = {};
+    }
 
     /**
      * All defined endpoints, mapped from their operation IDs
@@ -47,9 +63,21 @@ class OpenAPI {
      */
     this.endpoints = {};
 
+    /**
+     * All webhooks, mapped from their names, as added by webhook().
+     * @type {Object.<string,oas.Callback>}
+     */
+    this.webhooks = {};
+
+    /**
+     * The transport used to send callbacks and webhooks, with the signature of fetch. Defaults to the global fetch when null.
+     * @type {function(url:string, init:Object):Promise<Response>|null}
+     */
+    this.webhookTransport = null
+
     /**
      * The route creator will add new routes into the router when new endpoints are added to this api
-     * @type {function(oas.Endpoint)}
+     * @type {function(oas.Endpoint)|undefined}
      */
     this.routeCreator = routeCreator
 
@@ -75,6 +103,84 @@ class OpenAPI {
      */
     this.validatorFuncs = {}
 
+    /**
+     * Security handlers, mapped from the names of the security schemes they authenticate.
+     * Each handler receives the credentials extracted from the request, the scopes required by the endpoint,
+     * and the data object for the request. It should return the authenticated principal,
+     * or a falsy value if the credentials are invalid.
+     * To deny an authenticated principal, throw an oas.SecurityError with a status of 403.
+     * @type {Object.<string,function(credentials:*, scopes:string[], data:oas.Data):(Promise<*>|*)>}
+     */
+    this.securityHandlers = {}
+
+    /**
+     * Options for mock mode, as set by enableMocks(). Mock mode is disabled when null.
+     * @type {{seed:string,statusHeader:string,unhandledOnly:boolean}|null}
+     */
+    this.mockOptions = null
+
+    /**
+     * What deprecated endpoints do once their removal date has passed, unless the endpoint sets its own policy.
+     * 'none' keeps serving them, 'gone' responds with 410 Gone, and 'remove' drops them from doc.paths.
+     * @type {string}
+     */
+    this.deprecationPolicy = 'none'
+
+    /**
+     * Called with the endpoint and the data object each time a deprecated endpoint is called,
+     * to count or log the callers that still need to migrate.
+     * @type {function(oas.Endpoint, oas.Data)|null}
+     */
+    this.onDeprecatedCall = null
+
+    /**
+     * How clients select between the versions of an operation, as set by setVersioning().
+     * @type {{by:string,header:string,parameter:string,defaultVersion:(number|string)}}
+     */
+    this.versioning = {by: 'path', header: 'Api-Version', parameter: 'version', defaultVersion: 'latest'}
+
+    /**
+     * How requestValidationMW transforms the data of requests before validating them, unless set by the endpoint.
+     * useDefaults fills in missing values from the defaults in the schemas of the parameters and body.
+     * removeAdditional removes properties of the body which are not declared by its schema, from objects whose schema sets
+     * additionalProperties to false, so that the data matches the documentation.
+     * @type {{useDefaults:boolean,removeAdditional:boolean}}
+     */
+    this.requestTransforms = {useDefaults: false, removeAdditional: false}
+
+    /**
+     * Endpoints validate requests and responses with a jsonschema Validator of their own, using copies of their schemas
+     * in which the references to component schemas are resolved when the endpoint is defined.
+     * Requests and responses are validated with the schemas as they are written whenever validatorOptions returns options,
+     * or when this is set to false.
+     * @type {boolean}
+     */
+    this.compileValidators = true
+
+    /**
+     * How responses are validated against the documentation, unless set by the endpoint, as set by setResponseValidation().
+     * @type {{policy:string,sampleRate:number,onViolation:(function(oas.JSONValidationError, oas.Data)|undefined)}}
+     */
+    this.responseValidation = {policy: 'report', sampleRate: 1, onViolation: undefined}
+
+    /**
+     * The component schemas in jsonschema format whose references are resolved, mapped from their names.
+     * See utils.resolveRefs().
+     * @private
+     * @type {Map<string,Object>}
+     */
+    this._resolvedSchemas = new Map();
+    /**
+     * The components other than schemas, as they are validated by the endpoints which reference them,
+     * mapped from component types and names.
+     * @private
+     * @type {Object.<string,Object.<string,Object>>}
+     */
+    this._components = {parameters: {}, responses: {}, requestBodies: {}, headers: {}, examples: {}};
+    /** @private */
+    this._hooks = {};
+    /** @private */
+    this._tagHooks = {};
     /** @private */
     this._validator = new jsonschema.Validator();
     this._validator.attributes['x-validator'] = (instance, schema, options, ctx) => {
@@ -117,11 +223,196 @@ class OpenAPI {
     /** @private */
     this._schemaObjectsToNames = new Map(Object.getOwnPropertyNames(schemas).map(n => ([schemas[n], `{${n}}`])));
 
-    Object.getOwnPropertyNames(schemas).forEach(n => {
-      this.doc.components.schemas[n] = utils.toOasSchema(schemas[n], this)
-      this._validator.addSchema(utils.toJsonschema(schemas[n], this), `/${n}`);
-    });
+    /**
+     * The component schemas in jsonschema format, mapped from their names.
+     * @private
+     */
+    this._jsonschemas = {};
+
+    Object.getOwnPropertyNames(schemas).forEach(n => this._addSchema(n, schemas[n]));
+
+  }
+
+  /**
+   * Add a component schema.
+   * @private
+   * @param name {string}
+   * @param schema {Object}
+   */
+  _addSchema(name, schema) {
+    if(!this._schemaObjectsToNames.has(schema)) {
+      this._schemaObjectsToNames.set(schema, `{${name}}`);
+    }
+    this.doc.components.schemas[name] = utils.toOasSchema(schema, this)
+    this._jsonschemas[name] = utils.toJsonschema(schema, this)
+    this._validator.addSchema(this._jsonschemas[name], `/${name}`);
+    this._resolvedSchemas.clear();
+  }
+
+  /**
+   * Add a built-in component schema, such as ProblemDetails, unless a schema of that name is already defined.
+   * Other names are ignored.
+   * @private
+   * @param name {string}
+   */
+  _addBuiltinSchema(name) {
+    if(name === 'ProblemDetails' && this.doc.components.schemas.ProblemDetails === undefined) {
+      this._addSchema('ProblemDetails', problem.problemDetailsSchema)
+    }
+  }
+
+  /**
+   * Add a parameter to components.parameters, which endpoints can add using endpoint.parameterRef(name).
+   * The arguments after the name are those of endpoint.parameter().
+   * @param name {string} - The name of the component.
+   * @param loc {string} - One of {query, path, header, cookie}
+   * @param parameterName {string}
+   * @param description {string}
+   * @param required {boolean}
+   * @param schema {Object} - A valid jsonschema object
+   * @param type {string?} - See endpoint.parameter().
+   * @param serialization {{style:string?,explode:boolean?}?} - See endpoint.parameter().
+   * @returns {oas.OpenAPI}
+   */
+  parameterComponent(name, loc, parameterName, description, required, schema, type = undefined, serialization = {}) {
+    if(typeof type === 'object' && type !== null) {
+      serialization = type
+      type = undefined
+    }
+    const typedDoc = utils.typedParameter(loc, parameterName, description, required, schema, type, serialization, this,
+      `parameter component ${name}`)
+    this._setComponent('parameters', name, typedDoc, typedDoc.doc)
+    return this
+  }
+
+  /**
+   * Add a response to components.responses, which endpoints can add using endpoint.responseRef(code, name).
+   * Call this again with the same name and a different media type to document several media types for the response.
+   * @param name {string} - The name of the component.
+   * @param description {string}
+   * @param schema {Object?} - A valid jsonschema object
+   * @param mediaType {string?} - The media type of the response body. Defaults to application/json when a schema is given.
+   * @returns {oas.OpenAPI}
+   */
+  responseComponent(name, description, schema, mediaType = undefined) {
+    const component = this._components.responses[name] || {content: {}, headers: []}
+    const doc = Object.assign((this.doc.components.responses || {})[name] || {}, {description})
+    if(schema !== undefined || mediaType !== undefined) {
+      mediaType = mediaType || 'application/json'
+      component.content[mediaType] = schema !== undefined ? utils.toJsonschema(schema, this, mediaType) : undefined
+      doc.content = Object.assign(doc.content || {}, {
+        [mediaType]: schema !== undefined ? {schema: utils.toOasSchema(schema, this)} : {}
+      })
+    }
+    this._setComponent('responses', name, component, doc)
+    return this
+  }
+
+  /**
+   * Add a header to a response in components.responses, which must already be added using responseComponent().
+   * The header is defined in components.headers, using headerComponent(), and its name is the name of that component.
+   * @param name {string} - The name of the response component.
+   * @param header {string} - The name of the header component.
+   * @returns {oas.OpenAPI}
+   */
+  responseComponentHeader(name, header) {
+    const component = this._component('responses', name)
+    component.headers = component.headers.filter(h => h.doc.name !== header).concat(this._component('headers', header))
+    const doc = this.doc.components.responses[name]
+    doc.headers = Object.assign(doc.headers || {}, {[header]: {$ref: `#/components/headers/${header}`}})
+    return this
+  }
+
+  /**
+   * Add a request body to components.requestBodies, which endpoints can add using endpoint.requestBodyRef(name).
+   * Call this again with the same name and a different media type to accept the body in several media types.
+   * The arguments after the name are those of endpoint.requestBody().
+   * @param name {string} - The name of the component.
+   * @param description {string}
+   * @param required {boolean}
+   * @param schema {Object?} - A valid jsonschema object.
+   * @param mediaType {string?} - Defaults to application/json.
+   * @param encoding {Object.<string,Object>?} - Open API encoding objects for the properties of form and multipart bodies.
+   * @returns {oas.OpenAPI}
+   */
+  requestBodyComponent(name, description, required, schema, mediaType = 'application/json', encoding = undefined) {
+    const component = this._components.requestBodies[name] || {content: {}}
+    const media = {}
+    if(schema !== undefined) {
+      media.schema = utils.toOasSchema(schema, this)
+    }
+    if(encoding !== undefined) {
+      media.encoding = encoding
+    }
+    component.content[mediaType] = schema !== undefined ? utils.toJsonschema(schema, this, mediaType) : undefined
+    const current = (this.doc.components.requestBodies || {})[name]
+    this._setComponent('requestBodies', name, component, {
+      description, required,
+      content: Object.assign({}, current ? current.content : {}, {[mediaType]: media})
+    })
+    return this
+  }
+
+  /**
+   * Add a response header to components.headers, which endpoints can add using endpoint.responseHeaderRef(code, name).
+   * The name of the component is the name of the header.
+   * @param name {string}
+   * @param description {string}
+   * @param required {boolean}
+   * @param schema {Object} - A valid jsonschema object.
+   * @returns {oas.OpenAPI}
+   */
+  headerComponent(name, description, required, schema) {
+    this._setComponent('headers', name, utils.typedHeader(name, schema, this), {
+      description,
+      required,
+      schema: utils.toOasSchema(schema, this)
+    })
+    return this
+  }
+
+  /**
+   * Add an example to components.examples, which endpoints can add using endpoint.exampleRef(target, name).
+   * Mocked responses use the first example of a response.
+   * @param name {string}
+   * @param value {*}
+   * @param summary {string?}
+   * @returns {oas.OpenAPI}
+   */
+  exampleComponent(name, value, summary = undefined) {
+    const example = {value}
+    if(summary !== undefined) {
+      example.summary = summary
+    }
+    this._setComponent('examples', name, example, example)
+    return this
+  }
 
+  /**
+   * Get a component other than a schema, as it is validated by the endpoints which reference it.
+   * @private
+   * @param type {string} - One of parameters, responses, requestBodies, headers or examples.
+   * @param name {string}
+   * @returns {*}
+   */
+  _component(type, name) {
+    const component = this._components[type][name]
+    if(component === undefined) {
+      throw new Error(`${type} component ${name} must be added before it is referenced`)
+    }
+    return component
+  }
+
+  /**
+   * @private
+   * @param type {string}
+   * @param name {string}
+   * @param component {Object} - The component as it is validated by the endpoints which reference it.
+   * @param doc {Object} - The documentation of the component.
+   */
+  _setComponent(type, name, component, doc) {
+    this._components[type][name] = component
+    this.doc.components[type] = Object.assign(this.doc.components[type] || {}, {[name]: doc})
   }
 
   /**
@@ -138,6 +429,445 @@ class OpenAPI {
     return new Endpoint(this, operationId, method, path, summary, description, tags);
   }
 
+  /**
+   * Create a new webhook in this specification, a request which the API sends to subscribers of an event.
+   * The webhook is built with the same builders as an endpoint, and is documented under webhooks once it is defined,
+   * or under x-webhooks for Open API 3.0, which has no webhooks. Use it to send the request with webhook.send().
+   * @param name {string}
+   * @param method {string}
+   * @param summary {string}
+   * @param description {string}
+   * @param tags {string[]?}
+   * @returns {oas.Callback}
+   */
+  webhook(name, method, summary, description, tags = []) {
+    if(this.webhooks[name] !== undefined) {
+      throw new Error(`duplicate webhook definition: ${name}`)
+    }
+    const key = this.doc.openapi.startsWith('3.1') ? 'webhooks' : 'x-webhooks'
+    this.doc[key] = this.doc[key] || {}
+    const pathItem = this.doc[key][name] = {}
+    const webhook = new Callback(this, name, method, name, summary, description, tags, pathItem)
+    this.webhooks[name] = webhook
+    return webhook
+  }
+
+  /**
+   * Register a security scheme which may be required by endpoints using endpoint.security().
+   * @param name {string}
+   * @param scheme {Object} - An Open API security scheme object (apiKey, http, oauth2, or openIdConnect).
+   * @param handler {function(credentials:*, scopes:string[], data:oas.Data):(Promise<*>|*)} - See {@link oas.OpenAPI.securityHandlers}
+   * @returns {oas.OpenAPI}
+   */
+  securityScheme(name, scheme, handler) {
+    switch(scheme.type) {
+      case 'apiKey':
+        if(!['query', 'header', 'cookie'].includes(scheme.in) || !scheme.name) {
+          throw new Error(`apiKey security scheme ${name} requires 'name' and 'in' (one of {query, header, cookie})`);
+        }
+        break;
+      case 'http':
+        if(!scheme.scheme) {
+          throw new Error(`http security scheme ${name} requires 'scheme' (such as basic or bearer)`);
+        }
+        break;
+      case 'oauth2':
+      case 'openIdConnect':
+        break;
+      default:
+        throw new Error(`type for security scheme ${name} should be one of {apiKey, http, oauth2, openIdConnect}`);
+    }
+    if(typeof handler !== 'function') {
+      throw new Error(`security scheme ${name} requires a handler function`);
+    }
+    if(this.doc.components.securitySchemes === undefined) {
+      this.doc.components.securitySchemes = {};
+    }
+    this.doc.components.securitySchemes[name] = scheme;
+    this.securityHandlers[name] = handler;
+    return this;
+  }
+
+  /**
+   * Create a specification from an existing Open API 3 document.
+   * An endpoint is defined for every operation in the document, and routeCreator is called for each of them.
+   * Functions for the endpoints are then supplied by operationId using bindHandlers().
+   * Security schemes from the document are kept, and their handlers should be added to securityHandlers.
+   * @param doc {Object} - An Open API 3 document. Documents in YAML should be parsed before being supplied.
+   * @param routeCreator {function(oas.Endpoint)}
+   * @returns {oas.OpenAPI}
+   */
+  static fromDocument(doc, routeCreator) {
+    const resolve = o => utils.resolveRef(doc, o)
+
+    const components = doc.components || {}
+    const schemas = {}
+    Object.getOwnPropertyNames(components.schemas || {}).forEach(n =>
+      schemas[n] = utils.fromOasSchema(components.schemas[n]))
+    const servers = doc.servers || []
+    const api = new OpenAPI(doc.info.title, doc.info.description, servers.length ? servers[0].url : '/',
+      doc.info.version, schemas, doc.tags || [], routeCreator, {openapi: doc.openapi})
+    api.doc.info = Object.assign({}, doc.info)
+    if(servers.length) {
+      api.doc.servers = servers
+    }
+    if(components.securitySchemes !== undefined) {
+      api.doc.components.securitySchemes = Object.assign({}, components.securitySchemes)
+    }
+
+    const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+    Object.getOwnPropertyNames(doc.paths || {}).forEach(path => {
+      const pathItem = resolve(doc.paths[path])
+      methods.filter(m => pathItem[m] !== undefined).forEach(method => {
+        const operation = pathItem[method]
+        if(!operation.operationId) {
+          throw new Error(`missing operationId for ${method} ${path}`)
+        }
+        const endpoint = api.newEndpoint(operation.operationId, method, path,
+          operation.summary, operation.description, operation.tags || [])
+
+        const parameters = (pathItem.parameters || []).map(resolve)
+        const operationParameters = (operation.parameters || []).map(resolve)
+        operationParameters.forEach(p => {
+          const i = parameters.findIndex(pp => pp.name === p.name && pp.in === p.in)
+          i < 0 ? parameters.push(p) : parameters.splice(i, 1, p)
+        })
+        parameters.forEach(p => {
+          const schema = p.schema || {}
+          const serialization = {}
+          if(p.style !== undefined) {
+            serialization.style = p.style
+          }
+          if(p.explode !== undefined) {
+            serialization.explode = p.explode
+          }
+          endpoint.parameter(p.in, p.name, p.description, p.required || false,
+            utils.fromOasSchema(schema), undefined, serialization)
+        })
+
+        if(operation.requestBody !== undefined) {
+          const requestBody = resolve(operation.requestBody)
+          Object.getOwnPropertyNames(requestBody.content || {}).forEach(mediaType => {
+            const media = requestBody.content[mediaType]
+            endpoint.requestBody(requestBody.description, requestBody.required || false,
+              media.schema !== undefined ? utils.fromOasSchema(media.schema) : undefined, mediaType, media.encoding)
+          })
+        }
+
+        Object.getOwnPropertyNames(operation.responses || {}).forEach(code => {
+          const response = resolve(operation.responses[code])
+          const content = response.content || {}
+          if(Object.getOwnPropertyNames(content).length === 0) {
+            endpoint.response(code, response.description)
+          }
+          Object.getOwnPropertyNames(content).forEach(mediaType => {
+            const media = content[mediaType]
+            endpoint.response(code, response.description,
+              media.schema !== undefined ? utils.fromOasSchema(media.schema) : undefined, mediaType)
+          })
+          Object.getOwnPropertyNames(response.headers || {}).forEach(name => {
+            const header = resolve(response.headers[name])
+            endpoint.responseHeader(code, name, header.description, header.required || false,
+              utils.fromOasSchema(header.schema || {}))
+          })
+        })
+
+        const security = operation.security || doc.security || []
+        security.forEach(requirement => endpoint.security(requirement))
+        if(operation.deprecated) {
+          endpoint.doc.deprecated = true
+        }
+        endpoint.define()
+      })
+    })
+    return api
+  }
+
+  /**
+   * Bind functions to the endpoints with the matching operationIds.
+   * @param handlers {Object.<string,function(data:oas.Data):*>} - Endpoint functions, mapped from operationIds.
+   * @returns {{bound:string[],unknown:string[],missing:string[]}} - The operationIds which were bound,
+   *   the operationIds of handlers which did not match an endpoint, and the operationIds of endpoints which still have no function.
+   */
+  bindHandlers(handlers) {
+    const bound = []
+    const unknown = []
+    Object.getOwnPropertyNames(handlers).forEach(id => {
+      const endpoint = this.endpoints[id]
+      if(endpoint === undefined) {
+        unknown.push(id)
+        return
+      }
+      if(typeof handlers[id] !== 'function') {
+        throw new Error(`handler for ${id} must be a function`)
+      }
+      endpoint.func = handlers[id]
+      endpoint.hasHandler = true
+      bound.push(id)
+    })
+    return {bound, unknown, missing: this.unhandledOperations()}
+  }
+
+  /**
+   * Get the operationIds of all endpoints which do not have a function defined.
+   * @returns {string[]}
+   */
+  unhandledOperations() {
+    return Object.getOwnPropertyNames(this.endpoints).filter(id => !this.endpoints[id].hasHandler)
+  }
+
+  /**
+   * Enable mock mode, in which endpoints respond with examples generated from their documented responses.
+   * Examples in the schemas and media types are used when present.
+   * Strings are generated to match their patterns, and schemas whose patterns use lookarounds or backreferences need examples.
+   * @param options {Object?}
+   * @param options.seed {string?} - The same seed always generates the same response for an operation and status.
+   * @param options.statusHeader {string?} - A request header which selects the documented status to respond with.
+   *   Defaults to X-Mock-Status. When absent, the first documented 2XX status is used.
+   * @param options.unhandledOnly {boolean?} - Only mock endpoints which do not have a function defined.
+   * @returns {oas.OpenAPI}
+   */
+  enableMocks(options = {}) {
+    this.mockOptions = {
+      seed: options.seed !== undefined ? String(options.seed) : String(Date.now()),
+      statusHeader: options.statusHeader || 'X-Mock-Status',
+      unhandledOnly: options.unhandledOnly || false,
+    }
+    return this
+  }
+
+  /**
+   * Choose how clients select between the versions of an operation.
+   * This must be called before any endpoints are given a version.
+   * @param by {string} - One of 'path' (a /v{n} prefix on the url, the default), 'header' (a custom request header)
+   *   or 'mediaType' (a parameter of the Accept header, such as application/json; version=2).
+   * @param options {Object?}
+   * @param options.header {string?} - The header which selects the version. Defaults to Api-Version.
+   * @param options.parameter {string?} - The media type parameter which selects the version. Defaults to version.
+   * @param options.defaultVersion {number|string?} - The version used when a request does not select one.
+   *   Defaults to 'latest', the highest version of the operation.
+   * @returns {oas.OpenAPI}
+   */
+  setVersioning(by, options = {}) {
+    if(!['path', 'header', 'mediaType'].includes(by)) {
+      throw new Error(`unknown versioning: ${by} (must be one of {path,header,mediaType})`)
+    }
+    if(Object.getOwnPropertyNames(this.endpoints).some(id => this.endpoints[id]._endpointVersion)) {
+      throw new Error('versioning must be set before any endpoints are given a version')
+    }
+    this.versioning = {
+      by,
+      header: options.header || 'Api-Version',
+      parameter: options.parameter || 'version',
+      defaultVersion: options.defaultVersion !== undefined ? options.defaultVersion : 'latest',
+    }
+    return this
+  }
+
+  /**
+   * Set how responses are validated against the documentation, unless set by the endpoint.
+   * 'enforce' validates responses before they are sent, and passes violations to next() instead of sending the response,
+   * so that the error handler responds with 500 Internal Server Error.
+   * 'report' validates responses once they are sent, and calls onViolation with each violation.
+   * Without onViolation, violations are passed to next(), where the error handler can only log them.
+   * 'sampled' reports like 'report', but only validates a fraction of the responses.
+   * 'off' does not validate responses.
+   * The number of validated responses and violations of each operation are counted, see responseValidationStats().
+   * @param policy {string} - One of 'enforce', 'report' (the default), 'sampled' or 'off'.
+   * @param options {Object?}
+   * @param options.sampleRate {number?} - The fraction of responses to validate, from 0 to 1.
+   *   Defaults to 0.1 for 'sampled', and 1 otherwise.
+   * @param options.onViolation {function(oas.JSONValidationError, oas.Data)?} - Called with each violation.
+   * @returns {oas.OpenAPI}
+   */
+  setResponseValidation(policy, options = {}) {
+    this.responseValidation = utils.responseValidationSettings(policy, options)
+    return this
+  }
+
+  /**
+   * Get the number of responses which were validated, and which violated the documentation, mapped from operationIds.
+   * @returns {Object.<string,{validated:number,violations:number}>}
+   */
+  responseValidationStats() {
+    const stats = {}
+    Object.getOwnPropertyNames(this.endpoints).forEach(id => stats[id] = Object.assign({}, this.endpoints[id].responseStats))
+    return stats
+  }
+
+  /**
+   * Find the version of an operation which a request selects, among the versions sharing the method and path of an endpoint.
+   * Versions selected by the url are routed by their paths, so the endpoint itself is returned.
+   * @param endpoint {oas.Endpoint}
+   * @param headers {Object.<string,string>} - The request headers, with lowercase names.
+   * @returns {oas.Endpoint|undefined} - Returns undefined if the requested version does not exist.
+   */
+  selectVersion(endpoint, headers) {
+    if(this.versioning.by === 'path' || !endpoint._endpointVersion) {
+      return endpoint
+    }
+    const versions = Object.getOwnPropertyNames(this.endpoints)
+      .map(id => this.endpoints[id])
+      .filter(e => e.baseOperationId === endpoint.baseOperationId && e.method === endpoint.method && e.path === endpoint.path)
+    let requested = this._requestedVersion(headers)
+    if(requested === undefined) {
+      requested = this.versioning.defaultVersion === 'latest'
+        ? Math.max(...versions.map(e => e._endpointVersion))
+        : Number(this.versioning.defaultVersion)
+    }
+    return versions.find(e => e._endpointVersion === requested)
+  }
+
+  /**
+   * @private
+   * @param headers {Object.<string,string>}
+   * @returns {number|undefined}
+   */
+  _requestedVersion(headers) {
+    const {by, header, parameter} = this.versioning
+    let value
+    if(by === 'header') {
+      value = headers[header.toLowerCase()]
+    } else {
+      (headers['accept'] || '').split(',').some(range => range.split(';').slice(1).some(p => {
+        const [name, v] = p.split('=').map(x => x.trim())
+        if(name === parameter && v !== undefined) {
+          value = v.replace(/^"|"$/g, '')
+          return true
+        }
+      }))
+    }
+    const match = /^v?(\d+)$/.exec(String(value === undefined ? '' : value).trim())
+    return match ? Number(match[1]) : undefined
+  }
+
+  /**
+   * List the versions which exist for each operation, mapped from the operationIds without version suffixes.
+   * Operations without versions are listed with a version of 0.
+   * @returns {Object.<string,{version:number,operationId:string,method:string,path:string,deprecated:boolean,removalDate:(Date|null)}[]>}
+   */
+  versionCatalog() {
+    const catalog = {}
+    Object.getOwnPropertyNames(this.endpoints).forEach(id => {
+      const endpoint = this.endpoints[id]
+      const versions = catalog[endpoint.baseOperationId] || []
+      versions.push({
+        version: endpoint._endpointVersion,
+        operationId: endpoint.doc.operationId,
+        method: endpoint.method,
+        path: endpoint.path,
+        deprecated: endpoint.doc.deprecated === true,
+        removalDate: endpoint.deprecationDetails !== null ? endpoint.deprecationDetails.removalDate : null,
+      })
+      catalog[endpoint.baseOperationId] = versions.sort((a, b) => a.version - b.version)
+    })
+    return catalog
+  }
+
+  /**
+   * Create error middleware which responds with problem details (application/problem+json), as described by RFC 7807.
+   * Validation errors list the location, JSON pointer, keyword and expected value of each error.
+   * This also adds the ProblemDetails component schema, to document error responses with
+   * endpoint.response(400, 'Invalid request', ref('ProblemDetails'), 'application/problem+json').
+   * @param options {oas.ProblemOptions?}
+   * @returns {function(err:Error, req:e.Request, res:e.Response, next:e.NextFunction)}
+   */
+  problemHandler(options = {}) {
+    this._addBuiltinSchema('ProblemDetails')
+    return problem.problemHandler(options)
+  }
+
+  /**
+   * Create a client with one method for each endpoint in this spec, mapped from operationIds.
+   * See {@link oas.createClient} for the options.
+   * @param baseUrl {string}
+   * @param options {{fetch:function?,headers:Object?,validateRequests:boolean?,validateResponses:boolean?}?}
+   * @returns {Object.<string,function(args:oas.ClientRequest?):Promise<oas.Response>>}
+   */
+  createClient(baseUrl, options = {}) {
+    return client.createClient(this, baseUrl, options);
+  }
+
+  /**
+   * Run a request through the matching endpoint without a server, for testing.
+   * The endpoint is found using the method and path of the request, and the standard pipeline of middleware is run.
+   * If no endpoint matches, the result holds a 404 response and an error.
+   * @param request {oas.InjectRequest}
+   * @returns {Promise<oas.InjectResult>}
+   */
+  async inject(request) {
+    const route = inject.resolveRoute(this, request.method, new URL(request.url, 'http://localhost').pathname, request.headers);
+    if(route === undefined) {
+      return {
+        response: new utils.Response(404),
+        error: new Error(`no endpoint found for ${request.method.toUpperCase()} ${request.url}`),
+        data: undefined,
+      };
+    }
+    return route.endpoint.inject(request, route.params);
+  }
+
+  /**
+   * Add lifecycle hooks to every endpoint, or to the endpoints with the given tag.
+   * @param hooks {oas.Hooks}
+   * @param tag {string?}
+   * @returns {oas.OpenAPI}
+   */
+  hooks(hooks, tag = undefined) {
+    if(tag === undefined) {
+      utils.addHooks(this._hooks, hooks)
+    } else {
+      this._tagHooks[tag] = this._tagHooks[tag] || {}
+      utils.addHooks(this._tagHooks[tag], hooks)
+    }
+    return this
+  }
+
+  /**
+   * Register the routes of all endpoints on a router, using the standard pipeline of middleware with lifecycle hooks:
+   * attachDataMW, onRequest, securityMW, requestValidationMW, beforeHandler, call (which runs afterHandler),
+   * responseValidationMW, then onError and the error handler when an error occurs, and finally onResponse.
+   * Errors which occur once the response is sent, such as response validation errors, only reach the onError hooks.
+   * This becomes the route creator of this spec, so endpoints defined afterwards are registered as well.
+   * To build a different pipeline, pass a routeCreator to the constructor instead.
+   * @param router {e.Router}
+   * @param options {Object?}
+   * @param options.hooks {oas.Hooks?} - Lifecycle hooks for every endpoint.
+   * @param options.tagHooks {Object.<string,oas.Hooks>?} - Lifecycle hooks for the endpoints of each tag.
+   * @param options.errorHandler {function(err:Error, req:e.Request, res:e.Response, next:e.NextFunction)?} -
+   *   Responds to errors. It should call next() once the response is sent, so that the onResponse hooks run.
+   *   Defaults to problemHandler(options.problem).
+   * @param options.problem {oas.ProblemOptions?}
+   * @returns {e.Router}
+   */
+  mount(router, options = {}) {
+    if(options.hooks !== undefined) {
+      this.hooks(options.hooks)
+    }
+    Object.getOwnPropertyNames(options.tagHooks || {}).forEach(tag => this.hooks(options.tagHooks[tag], tag))
+    const handler = options.errorHandler || this.problemHandler(options.problem)
+    const errorHandler = (err, req, res, next) => res.headersSent ? next() : handler(err, req, res, next)
+    this.routeCreator = endpoint => {
+      router[endpoint.method](utils.toExpressPath(endpoint.path), [
+        endpoint.attachDataMW,
+        endpoint.hookMW('onRequest'),
+        endpoint.securityMW,
+        endpoint.requestValidationMW,
+        endpoint.hookMW('beforeHandler'),
+        endpoint.call,
+        endpoint.responseValidationMW,
+        endpoint.hookMW('onError'),
+        errorHandler,
+        endpoint.hookMW('onResponse'),
+      ])
+    }
+    Object.getOwnPropertyNames(this.endpoints)
+      .map(id => this.endpoints[id])
+      .filter(endpoint => endpoint._defined)
+      .forEach(this.routeCreator)
+    return router
+  }
+
   /**
    * Mount the documentation at the provided url.
    * @param router {e.Router}
@@ -172,6 +902,20 @@ class OpenAPI {
     return this._validator.validate(instance, schema, options)
   }
 
+  /**
+   * Create a jsonschema Validator which shares the component schemas, custom formats and x-validator attribute
+   * of the validator of this spec.
+   * @private
+   * @returns {Validator}
+   */
+  _newValidator() {
+    const validator = new jsonschema.Validator()
+    validator.schemas = Object.create(this._validator.schemas)
+    validator.customFormats = this._validator.customFormats
+    validator.attributes['x-validator'] = this._validator.attributes['x-validator']
+    return validator
+  }
+
   /**
    * Validate that this spec is compliant with the Open API specification schema.
    * Validate that all references to components in the spec are referencing defined components.
@@ -191,7 +935,17 @@ class OpenAPI {
       return value
     })
 
-    const result = jsonschema.validate(this.doc, require('./openapi-3_0_0-schema'));
+    const securitySchemes = this.doc.components.securitySchemes || {}
+    Object.getOwnPropertyNames(this.endpoints).forEach(id =>
+      this.endpoints[id].doc.security.forEach(requirement =>
+        Object.getOwnPropertyNames(requirement)
+          .filter(n => securitySchemes[n] === undefined)
+          .forEach(n => errors.push(`security requirement of ${id} references undefined security scheme: ${n}`))))
+
+    const metaSchema = this.doc.openapi.startsWith('3.1')
+      ? require('./openapi-3_1_0-schema')
+      : require('./openapi-3_0_0-schema');
+    const result = jsonschema.validate(this.doc, metaSchema);
     if(!result.valid) {
       errors.push(...result.errors.map(e => e.toString()));
     }
@@ -0,0 +1,109 @@
+const http = require('http');
+const utils = require('./utils');
+
+/**
+ * The media type of problem details, as described by RFC 7807.
+ * @type {string}
+ */
+const problemMediaType = 'application/problem+json';
+
+/**
+ * A schema for problem details, as described by RFC 7807, including the details of validation errors.
+ * @type {Object}
+ */
+const problemDetailsSchema = {
+  type: 'object',
+  description: 'Details of a problem which occurred while handling the request, as described by RFC 7807.',
+  properties: {
+    type: {type: 'string', description: 'A URI reference which identifies the problem type.'},
+    title: {type: 'string', description: 'A short summary of the problem type.'},
+    status: {type: 'integer', description: 'The status code of the response.'},
+    detail: {type: 'string', description: 'An explanation specific to this occurrence of the problem.'},
+    instance: {type: 'string', description: 'A URI reference which identifies this occurrence of the problem.'},
+    errors: {
+      type: 'array',
+      description: 'The validation errors which caused the problem.',
+      items: {
+        type: 'object',
+        required: ['pointer', 'message'],
+        properties: {
+          pointer: {type: 'string', description: 'A JSON pointer to the invalid value, relative to the location.'},
+          location: {type: 'string', enum: ['query', 'params', 'headers', 'cookies', 'body']},
+          keyword: {type: 'string', description: 'The schema keyword which failed.'},
+          expected: {description: 'The value of the schema keyword which failed.'},
+          message: {type: 'string'}
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Options for rendering errors as problem details.
+ * @typedef {Object} oas.ProblemOptions
+ * @property {function(error:Error,status:number):string?} type - Creates the type URI of a problem. Defaults to about:blank.
+ * @property {boolean?} exposeResponseErrors - Include the details of response validation errors,
+ *   which are otherwise hidden from clients as internal server errors.
+ */
+
+/**
+ * Convert an error to problem details.
+ * Validation, security and media type errors keep their status and details.
+ * Other errors keep a status property of 4XX with their message, and are otherwise internal server errors.
+ * @param error {Error}
+ * @param options {oas.ProblemOptions?}
+ * @returns {{type:string,title:string,status:number,detail:string,errors:(oas.ValidationErrorDetail[]|undefined)}}
+ */
+function toProblem(error, options = {}) {
+  let status = 500;
+  let detail = 'internal server error';
+  let errors;
+  if(error instanceof utils.JSONValidationError) {
+    if(error.in !== 'response') {
+      status = 400;
+    }
+    if(error.in !== 'response' || options.exposeResponseErrors) {
+      detail = error.message;
+      errors = error.details;
+    }
+  } else if(error instanceof utils.SecurityError || error instanceof utils.UnsupportedMediaTypeError) {
+    status = error.status;
+    detail = error.message;
+  } else if(error && Number.isInteger(error.status || error.statusCode)) {
+    status = error.status || error.statusCode;
+    if(status < 500) {
+      detail = error.message;
+    }
+  }
+  return {
+    type: options.type ? options.type(error, status) : 'about:blank',
+    title: http.STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    errors,
+  };
+}
+
+/**
+ * Create error middleware which responds with problem details.
+ * Like the other middleware of an endpoint, it calls next() once the response is sent.
+ * @param options {oas.ProblemOptions?}
+ * @returns {function(err:Error, req:e.Request, res:e.Response, next:e.NextFunction)}
+ */
+function problemHandler(options = {}) {
+  return (err, req, res, next) => {
+    if(res.headersSent) {
+      return next(err);
+    }
+    const problem = Object.assign(toProblem(err, options), {instance: req.originalUrl || req.url});
+    res.status(problem.status).set('Content-Type', problemMediaType).json(problem);
+    next();
+  };
+}
+
+module.exports = {
+  problemMediaType,
+  problemDetailsSchema,
+  toProblem,
+  problemHandler,
+};
@@ -0,0 +1,126 @@
+/**
+ * The media type of newline delimited JSON, where each line is an item.
+ * @type {string}
+ */
+const ndjsonMediaType = 'application/x-ndjson';
+
+/**
+ * The media type of server-sent events.
+ * @type {string}
+ */
+const eventStreamMediaType = 'text/event-stream';
+
+/**
+ * An event to send in a stream of server-sent events.
+ * @typedef {Object} oas.ServerSentEvent
+ * @property {string?} event - The name of the event. Defaults to message.
+ * @property {*} data - The data of the event. Strings are sent as they are, and other values as JSON.
+ * @property {string?} id - Sets the last event ID of the client.
+ * @property {number?} retry - Sets the reconnection time of the client, in milliseconds.
+ */
+
+/**
+ * Check whether a response body is a stream, such as a readable stream or an async generator.
+ * @param body {*}
+ * @returns {boolean}
+ */
+function isStream(body) {
+  return body !== null && typeof body === 'object' && typeof body[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Serialize an item of a newline delimited JSON stream.
+ * Strings and buffers are taken to be serialized already, and are written as they are.
+ * @param item {*}
+ * @returns {string|Buffer}
+ */
+function formatItem(item) {
+  if(typeof item === 'string' || Buffer.isBuffer(item)) {
+    return item;
+  }
+  return `${JSON.stringify(item)}\n`;
+}
+
+/**
+ * Get the event for an item of a stream of server-sent events. Items which are not objects are the data of a message.
+ * @param item {oas.ServerSentEvent|*}
+ * @returns {oas.ServerSentEvent}
+ */
+function toEvent(item) {
+  return item !== null && typeof item === 'object' ? item : {data: item};
+}
+
+/**
+ * Serialize a server-sent event.
+ * @param event {oas.ServerSentEvent}
+ * @returns {string}
+ */
+function formatEvent(event) {
+  const lines = [];
+  if(event.id !== undefined) {
+    lines.push(`id: ${event.id}`);
+  }
+  if(event.event !== undefined) {
+    lines.push(`event: ${event.event}`);
+  }
+  if(event.retry !== undefined) {
+    lines.push(`retry: ${event.retry}`);
+  }
+  const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+  if(data !== undefined) {
+    data.split(/\r\n|\r|\n/).forEach(line => lines.push(`data: ${line}`));
+  }
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Create the schema which documents the events of a stream of server-sent events.
+ * @param events {Object.<string,Object>} - Schemas of the data of each event, mapped from event names.
+ * @returns {Object}
+ */
+function eventsSchema(events) {
+  return {
+    oneOf: Object.getOwnPropertyNames(events).map(name => ({
+      type: 'object',
+      required: name === 'message' ? ['data'] : ['event', 'data'],
+      properties: {
+        event: {type: 'string', enum: [name]},
+        data: events[name],
+        id: {type: 'string'},
+        retry: {type: 'integer'},
+      },
+    })),
+  };
+}
+
+/**
+ * Write a chunk to a response, waiting for it to drain when its buffer is full.
+ * @param res {e.Response}
+ * @param chunk {string|Buffer}
+ * @returns {Promise<void>}
+ */
+function write(res, chunk) {
+  if(res.write(chunk) || typeof res.once !== 'function') {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+module.exports = {
+  ndjsonMediaType,
+  eventStreamMediaType,
+  isStream,
+  formatItem,
+  toEvent,
+  formatEvent,
+  eventsSchema,
+  write,
+};
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const Koa = require('koa');
+const KoaRouter = require('@koa/router');
+const bodyParser = require('koa-bodyparser');
+const Fastify = require('fastify');
+const {OpenAPI, Response, koaAdapter, fastifyAdapter, nodeAdapter} = require('..');
+
+function createApi(routeCreator, reported) {
+  const api = new OpenAPI('Test API', 'adapters', 'http://localhost', '1.0.0', {}, [], routeCreator);
+  api.hooks({onError: error => reported.push(error.message)});
+  api.newEndpoint('getThing', 'get', '/things/{id}', 'Get a thing', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer'})
+    .response(200, 'The thing', {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}})
+    .define(async data => data.params.id === 0 ? {id: 'zero'} : {id: data.params.id});
+  return api;
+}
+
+function koaRouter() {
+  const routes = {};
+  return {
+    get: (path, handler) => routes[path] = handler,
+    request: async (path, url, params) => {
+      const ctx = {method: 'GET', originalUrl: url, headers: {}, request: {}, params, responseHeaders: {}};
+      ctx.set = headers => Object.assign(ctx.responseHeaders, headers);
+      await routes[path](ctx);
+      return ctx;
+    },
+  };
+}
+
+test('the koa adapter responds with problem details for invalid requests', async () => {
+  const reported = [];
+  const router = koaRouter();
+  createApi(koaAdapter(router), reported);
+  const ctx = await router.request('/things/:id', '/things/abc', {id: 'abc'});
+  assert.strictEqual(ctx.status, 400);
+  assert.strictEqual(ctx.responseHeaders['content-type'], 'application/problem+json');
+  assert.strictEqual(JSON.parse(ctx.body).detail, 'request json validation failed');
+});
+
+test('errors after the response is sent are only reported, as with express', async () => {
+  const reported = [];
+  const router = koaRouter();
+  createApi(koaAdapter(router), reported);
+  const ctx = await router.request('/things/:id', '/things/0', {id: '0'});
+  assert.strictEqual(ctx.status, 200);
+  assert.deepStrictEqual(JSON.parse(ctx.body), {id: 'zero'});
+  assert.deepStrictEqual(reported, ['response json validation failed']);
+});
+
+test('the fastify adapter keeps sent responses when errors are reported', async () => {
+  const reported = [];
+  const routes = [];
+  createApi(fastifyAdapter({route: route => routes.push(route)}), reported);
+  const reply = {
+    code: status => Object.assign(reply, {status}),
+    headers: headers => Object.assign(reply, {headers}),
+    send: body => Object.assign(reply, {body}),
+  };
+  await routes[0].handler({method: 'GET', url: '/things/0', headers: {}, params: {id: '0'}}, reply);
+  assert.strictEqual(routes[0].url, '/things/:id');
+  assert.strictEqual(reply.status, 200);
+  assert.strictEqual(reply.body, '{"id":"zero"}');
+  assert.deepStrictEqual(reported, ['response json validation failed']);
+});
+
+function createStreamingApi(routeCreator) {
+  let release;
+  const released = new Promise(resolve => release = resolve);
+  const received = [];
+  const api = new OpenAPI('Test API', 'adapters', 'http://localhost', '1.0.0', {}, [], routeCreator);
+  api.newEndpoint('listThings', 'get', '/things', 'Stream things', '', [])
+    .streamResponse(200, 'The things', {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}})
+    .define(async function*() {
+      yield {id: 1};
+      await released;
+      yield {id: 2};
+    });
+  api.newEndpoint('putThing', 'put', '/things', 'Replace a thing', '', [])
+    .requestBody('The thing', true, {type: 'object'})
+    .response(204, 'Replaced')
+    .define(async data => {
+      received.push(data.body);
+      return new Response(204);
+    });
+  return {api, release, received};
+}
+
+const servers = {
+  node: async (limit) => {
+    const adapter = nodeAdapter({bodyLimit: limit});
+    const api = createStreamingApi(adapter.routeCreator);
+    return Object.assign(api, {server: http.createServer(adapter.listener).listen(0)});
+  },
+  koa: async (limit) => {
+    const app = new Koa();
+    const router = new KoaRouter();
+    const api = createStreamingApi(koaAdapter(router));
+    app.use(bodyParser({jsonLimit: limit}));
+    app.use(router.routes());
+    return Object.assign(api, {server: app.listen(0)});
+  },
+  fastify: async (limit) => {
+    const fastify = Fastify({bodyLimit: limit, forceCloseConnections: true});
+    const api = createStreamingApi(fastifyAdapter(fastify));
+    await fastify.listen({port: 0, host: '127.0.0.1'});
+    return Object.assign(api, {server: fastify.server, close: () => fastify.close()});
+  },
+};
+
+function url(server, path) {
+  return `http://127.0.0.1:${server.address().port}${path}`;
+}
+
+Object.getOwnPropertyNames(servers).forEach(name => {
+  test(`the ${name} adapter writes streamed items as they are produced`, {timeout: 10000}, async () => {
+    const {server, release, close} = await servers[name](1024);
+    try {
+      const res = await fetch(url(server, '/things'), {signal: AbortSignal.timeout(5000)});
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'application/x-ndjson');
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      // the second item is only produced once the first one is received
+      assert.strictEqual(decoder.decode((await reader.read()).value), '{"id":1}\n');
+      release();
+      let rest = '';
+      for(let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        rest += decoder.decode(chunk.value);
+      }
+      assert.strictEqual(rest, '{"id":2}\n');
+    } finally {
+      release();
+      await (close ? close() : new Promise(resolve => server.close(resolve) && server.closeAllConnections()));
+    }
+  });
+
+  test(`the ${name} adapter responds 413 to bodies over the limit`, {timeout: 10000}, async () => {
+    const {server, received, close} = await servers[name](16);
+    try {
+      const put = body => fetch(url(server, '/things'), {
+        method: 'PUT',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(body),
+      });
+      const res = await put({name: 'a thing with a long name'});
+      assert.strictEqual(res.status, 413);
+      await res.arrayBuffer();
+      assert.deepStrictEqual(received, []);
+      assert.strictEqual((await put({})).status, 204);
+      assert.deepStrictEqual(received, [{}]);
+    } finally {
+      await (close ? close() : new Promise(resolve => server.close(resolve) && server.closeAllConnections()));
+    }
+  });
+});
+
+test('the node adapter sends problem details for bodies over the limit', {timeout: 10000}, async () => {
+  const {server} = await servers.node(16);
+  try {
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request(url(server, '/things'), {method: 'PUT', headers: {'Content-Type': 'application/json'}}, res => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({status: res.statusCode, type: res.headers['content-type'], body: JSON.parse(body)}));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({name: 'x'.repeat(64 * 1024)}));
+    });
+    assert.strictEqual(status.status, 413);
+    assert.strictEqual(status.type, 'application/problem+json');
+    assert.strictEqual(status.body.detail, 'request body is larger than 16 bytes');
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
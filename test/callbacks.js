@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, Response, JSONValidationError} = require('..');
+
+function createApi(sent) {
+  const api = new OpenAPI('Test API', 'callbacks', 'http://localhost', '1.0.0', {}, []);
+  api.webhookTransport = async (url, init) => {
+    sent.push({url, method: init.method, body: init.body});
+    return new globalThis.Response(null, {status: 204});
+  };
+  api.newEndpoint('subscribe', 'post', '/subscriptions', 'Subscribe to events', '', [])
+    .requestBody('The subscription', true, {
+      type: 'object',
+      required: ['callbackUrl'],
+      properties: {callbackUrl: {type: 'string'}, id: {type: 'integer'}},
+    })
+    .response(201, 'Subscribed')
+    .callback('onEvent', '{$request.body#/callbackUrl}/events/{id}', 'post', 'An event', callback => callback
+      .parameter('path', 'id', 'The id of the event', true, {type: 'integer'})
+      .requestBody('The event', true, {type: 'object', required: ['name'], properties: {name: {type: 'string'}}})
+      .response(204, 'Received'))
+    .define(async data => {
+      const callback = data.endpoint.callbacks.onEvent;
+      await callback.send(callback.url(data), {params: {id: data.body.id}, body: {name: 'created'}});
+      return new Response(201);
+    });
+  return api;
+}
+
+test('callback urls are evaluated from the request, and path parameters are filled in', async () => {
+  const sent = [];
+  const {response, error} = await createApi(sent).inject({
+    method: 'POST',
+    url: '/subscriptions',
+    body: {callbackUrl: 'https://example.com/hooks', id: 5},
+  });
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 201);
+  assert.deepStrictEqual(sent, [{url: 'https://example.com/hooks/events/5', method: 'POST', body: '{"name":"created"}'}]);
+});
+
+test('invalid callback requests are not sent', async () => {
+  const sent = [];
+  const api = createApi(sent);
+  const callback = api.endpoints.subscribe.callbacks.onEvent;
+  await assert.rejects(callback.send('https://example.com/hooks/events/{id}', {params: {id: 'x'}, body: {}}),
+    JSONValidationError);
+  assert.deepStrictEqual(sent, []);
+});
+
+test('callbacks are documented under the callbacks of their endpoint', () => {
+  const api = createApi([]);
+  const callbacks = api.doc.paths['/subscriptions'].post.callbacks;
+  assert.deepStrictEqual(Object.keys(callbacks.onEvent), ['{$request.body#/callbackUrl}/events/{id}']);
+  assert.deepStrictEqual(api.validateSpec().errors, []);
+});
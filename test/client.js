@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, JSONValidationError, UnsupportedMediaTypeError, ref} = require('..');
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'client', 'http://localhost', '1.0.0', {
+    Thing: {type: 'object', required: ['name'], properties: {id: {type: 'integer'}, name: {type: 'string'}}},
+  }, []);
+  api.newEndpoint('getThing', 'get', '/things/{id}{coords}', 'Get a thing', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'array', items: {type: 'integer'}})
+    .parameter('path', 'coords', 'Coordinates', true, {type: 'object', properties: {x: {type: 'integer'}, y: {type: 'integer'}}},
+      undefined, {style: 'matrix', explode: true})
+    .parameter('query', 'fields', 'Fields to include', false, {type: 'array', items: {type: 'string'}})
+    .parameter('query', 'sizes', 'Sizes to include', false, {type: 'array', items: {type: 'integer'}},
+      undefined, {style: 'pipeDelimited', explode: false})
+    .parameter('query', 'filter', 'Filter', false, {type: 'object', properties: {color: {type: 'string'}}},
+      undefined, {style: 'deepObject'})
+    .parameter('header', 'X-Tags', 'Tags', false, {type: 'array', items: {type: 'string'}})
+    .parameter('cookie', 'session', 'Session', false, {type: 'string'})
+    .response(200, 'The thing', ref('Thing'))
+    .response(404, 'Not found', {type: 'object', properties: {message: {type: 'string'}}})
+    .define(async () => {});
+  api.newEndpoint('putThing', 'put', '/things/{id}', 'Replace a thing', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer'})
+    .requestBody('The thing', true, ref('Thing'))
+    .requestBody('The thing', true, {type: 'object', properties: {name: {type: 'string'}}}, 'application/x-www-form-urlencoded')
+    .response(200, 'The thing', ref('Thing'))
+    .define(async () => {});
+  api.newEndpoint('uploadThing', 'post', '/things/{id}/files', 'Upload files', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer'})
+    .requestBody('The files', true, {type: 'object', properties: {
+      file: {type: 'string', format: 'binary'},
+      meta: {type: 'object'},
+      labels: {type: 'array', items: {type: 'string'}},
+    }}, 'multipart/form-data')
+    .response(204, 'Uploaded')
+    .define(async () => {});
+  return api;
+}
+
+function stubFetch(status = 200, body = undefined, headers = {'Content-Type': 'application/json'}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({url, init});
+    const text = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    return new globalThis.Response(text, {status, headers});
+  };
+  return {calls, fetch};
+}
+
+test('parameters are serialized using their styles', async () => {
+  const {calls, fetch} = stubFetch(200, {id: 1, name: 'thing'});
+  const client = createApi().createClient('http://localhost/api/', {fetch, headers: {Authorization: 'Bearer token'}});
+  const response = await client.getThing({
+    params: {id: [1, 2], coords: {x: 3, y: 4}},
+    query: {fields: ['name', 'id'], sizes: [1, 2], filter: {color: 'red'}, other: 'a b'},
+    headers: {'X-Tags': ['a', 'b']},
+    cookies: {session: 'a;b'},
+  });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body, {id: 1, name: 'thing'});
+  assert.strictEqual(calls.length, 1);
+  const url = new URL(calls[0].url);
+  assert.strictEqual(url.pathname, '/api/things/1,2;x=3;y=4');
+  assert.deepStrictEqual([...url.searchParams], [
+    ['fields', 'name'], ['fields', 'id'], ['sizes', '1|2'], ['filter[color]', 'red'], ['other', 'a b'],
+  ]);
+  assert.strictEqual(calls[0].init.method, 'GET');
+  assert.strictEqual(calls[0].init.headers.Authorization, 'Bearer token');
+  assert.strictEqual(calls[0].init.headers['X-Tags'], 'a,b');
+  assert.strictEqual(calls[0].init.headers.Cookie, 'session=a%3Bb');
+  assert.strictEqual(calls[0].init.body, undefined);
+});
+
+test('bodies are serialized as the chosen media type', async () => {
+  const {calls, fetch} = stubFetch(200, {id: 1, name: 'thing'});
+  const client = createApi().createClient('http://localhost', {fetch});
+  await client.putThing({params: {id: 1}, body: {name: 'thing'}});
+  await client.putThing({params: {id: 1}, body: {name: 'thing'}, contentType: 'application/x-www-form-urlencoded'});
+  assert.strictEqual(calls[0].init.method, 'PUT');
+  assert.strictEqual(calls[0].init.headers['Content-Type'], 'application/json');
+  assert.strictEqual(calls[0].init.body, '{"name":"thing"}');
+  assert.strictEqual(calls[1].init.headers['Content-Type'], 'application/x-www-form-urlencoded');
+  assert.strictEqual(calls[1].init.body.toString(), 'name=thing');
+});
+
+test('multipart bodies are sent as form data', async () => {
+  const {calls, fetch} = stubFetch(204, undefined, {});
+  const client = createApi().createClient('http://localhost', {fetch});
+  const response = await client.uploadThing({
+    params: {id: 1},
+    body: {file: new Uint8Array([1, 2, 3]), meta: {a: 1}, labels: ['a', 'b']},
+  });
+  assert.strictEqual(response.status, 204);
+  assert.strictEqual(response.body, undefined);
+  const form = calls[0].init.body;
+  assert.ok(form instanceof FormData);
+  // the boundary of the Content-Type is added by fetch
+  assert.strictEqual(calls[0].init.headers['Content-Type'], undefined);
+  const file = form.get('file');
+  assert.ok(file instanceof Blob);
+  assert.strictEqual(file.name, 'file');
+  assert.deepStrictEqual([...new Uint8Array(await file.arrayBuffer())], [1, 2, 3]);
+  assert.strictEqual(form.get('meta'), '{"a":1}');
+  assert.deepStrictEqual(form.getAll('labels'), ['a', 'b']);
+});
+
+test('error responses resolve with their status and body', async () => {
+  const {fetch} = stubFetch(404, {message: 'no thing'});
+  const client = createApi().createClient('http://localhost', {fetch, validateResponses: true});
+  const response = await client.getThing({params: {id: [1], coords: {x: 1, y: 1}}});
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(response.body, {message: 'no thing'});
+  assert.strictEqual(response.headers['content-type'], 'application/json');
+});
+
+test('invalid responses are rejected when responses are validated', async () => {
+  const {fetch} = stubFetch(200, {id: 'one'});
+  const params = {id: [1], coords: {x: 1, y: 1}};
+  await createApi().createClient('http://localhost', {fetch}).getThing({params});
+  await assert.rejects(createApi().createClient('http://localhost', {fetch, validateResponses: true}).getThing({params}), error => {
+    assert.ok(error instanceof JSONValidationError);
+    assert.strictEqual(error.in, 'response');
+    return true;
+  });
+});
+
+test('invalid requests are rejected before they are sent when requests are validated', async () => {
+  const {calls, fetch} = stubFetch(200, {id: 1, name: 'thing'});
+  const client = createApi().createClient('http://localhost', {fetch, validateRequests: true});
+  await assert.rejects(client.putThing({params: {id: 1}, body: {id: 1}}), error => {
+    assert.ok(error instanceof JSONValidationError);
+    assert.strictEqual(error.in, 'request');
+    return true;
+  });
+  await assert.rejects(client.putThing({params: {id: 1}, body: 'thing', contentType: 'text/plain'}), UnsupportedMediaTypeError);
+  assert.strictEqual(calls.length, 0);
+});
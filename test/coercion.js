@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, JSONValidationError} = require('..');
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'coercion', 'http://localhost', '1.0.0', {}, []);
+  api.newEndpoint('listThings', 'get', '/things', 'List things', '', [])
+    .parameter('query', 'int', 'An integer', false, {type: 'integer'})
+    .parameter('query', 'num', 'A number', false, {type: 'number'})
+    .parameter('query', 'flag', 'A boolean', false, {type: 'boolean'})
+    .parameter('query', 'text', 'A string', false, {type: 'string'})
+    .parameter('query', 'either', 'An integer or a string', false, {type: ['integer', 'string']})
+    .parameter('query', 'maybe', 'A nullable integer', false, {'x-nullable': {type: 'integer'}})
+    .parameter('query', 'ints', 'Integers', false, {type: 'array', items: {type: 'integer'}})
+    .parameter('query', 'flags', 'Booleans', false, {type: 'array', items: {type: 'boolean'}},
+      undefined, {style: 'form', explode: false})
+    .parameter('query', 'filter', 'A filter', false,
+      {type: 'object', properties: {n: {type: 'number'}, b: {type: 'boolean'}, s: {type: 'string'}}},
+      undefined, {style: 'deepObject'})
+    .parameter('header', 'X-Count', 'A count', false, {type: 'integer'})
+    .define(async data => ({query: data.query, headers: data.headers}));
+  return api;
+}
+
+async function coerce(query, headers = {}) {
+  const {response, error} = await createApi().inject({method: 'GET', url: `/things?${query}`, headers});
+  if(error !== undefined) {
+    return error;
+  }
+  const values = Object.assign({}, response.body.query, response.body.headers);
+  Object.getOwnPropertyNames(values).filter(k => values[k] === undefined).forEach(k => delete values[k]);
+  return values;
+}
+
+const conversions = [
+  ['int=12', {int: 12}],
+  ['int=-3', {int: -3}],
+  ['int=+3', {int: 3}],
+  ['num=1.5', {num: 1.5}],
+  ['num=12', {num: 12}],
+  ['num=-1e3', {num: -1000}],
+  ['flag=true', {flag: true}],
+  ['flag=false', {flag: false}],
+  ['flag=TRUE', {flag: true}],
+  ['text=12', {text: '12'}],
+  ['text=true', {text: 'true'}],
+  ['either=12', {either: 12}],
+  ['either=1.5', {either: '1.5'}],
+  ['either=abc', {either: 'abc'}],
+  ['maybe=null', {maybe: null}],
+  ['maybe=4', {maybe: 4}],
+  ['ints=1&ints=2', {ints: [1, 2]}],
+  ['ints=1', {ints: [1]}],
+  ['flags=true,false', {flags: [true, false]}],
+  ['filter[n]=1.5&filter[b]=false&filter[s]=1', {filter: {n: 1.5, b: false, s: '1'}}],
+];
+
+conversions.forEach(([query, expected]) => {
+  test(`${query} is converted to ${JSON.stringify(expected)}`, async () => {
+    assert.deepStrictEqual(await coerce(query), expected);
+  });
+});
+
+const failures = [
+  ['int=1.5', '/int', ['integer']],
+  ['int=abc', '/int', ['integer']],
+  ['int=1e3', '/int', ['integer']],
+  ['num=abc', '/num', ['number']],
+  ['num=%20', '/num', ['number']],
+  ['num=12px', '/num', ['number']],
+  ['flag=yes', '/flag', ['boolean']],
+  ['flag=1', '/flag', ['boolean']],
+  ['maybe=abc', '/maybe', ['null', 'integer']],
+  ['ints=1&ints=two', '/ints/1', ['integer']],
+  ['flags=true,maybe', '/flags/1', ['boolean']],
+  ['filter[n]=abc', '/filter/n', ['number']],
+];
+
+failures.forEach(([query, pointer, types]) => {
+  test(`${query} can not be converted`, async () => {
+    const error = await coerce(query);
+    assert.ok(error instanceof JSONValidationError);
+    assert.strictEqual(error.in, 'request');
+    assert.deepStrictEqual(error.details, [{
+      pointer,
+      location: 'query',
+      keyword: 'type',
+      expected: types,
+      message: `could not be converted to type ${types.join(' or ')}`,
+    }]);
+  });
+});
+
+test('headers are converted', async () => {
+  assert.deepStrictEqual(await coerce('', {'X-Count': '3'}), {'X-Count': 3});
+  const error = await coerce('', {'X-Count': 'three'});
+  assert.deepStrictEqual(error.details.map(d => [d.location, d.pointer]), [['headers', '/X-Count']]);
+});
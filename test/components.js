@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, Response, JSONValidationError, ref} = require('..');
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'components', 'http://localhost', '1.0.0', {
+    Thing: {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}},
+  }, []);
+  api.setResponseValidation('enforce');
+  api.headerComponent('X-Request-Id', 'The id of the request', true, {type: 'string', pattern: '^[a-f0-9]+$'})
+    .parameterComponent('Limit', 'query', 'limit', 'The maximum number of things', false, {type: 'integer', maximum: 10})
+    .parameterComponent('Trace', 'header', 'X-Trace', 'A trace id', true, {type: 'string'})
+    .requestBodyComponent('ThingBody', 'A thing', true, ref('Thing'))
+    .responseComponent('NotFound', 'Not found', {type: 'object', required: ['detail'], properties: {detail: {type: 'string'}}})
+    .responseComponentHeader('NotFound', 'X-Request-Id')
+    .exampleComponent('AThing', {id: 3}, 'A thing');
+  api.newEndpoint('putThing', 'put', '/things/{id}', 'Put a thing', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer'})
+    .parameterRef('Limit')
+    .parameterRef('Trace')
+    .requestBodyRef('ThingBody')
+    .response(200, 'The thing', ref('Thing'))
+    .exampleRef(200, 'AThing')
+    .responseHeaderRef(200, 'X-Request-Id')
+    .responseRef(404, 'NotFound')
+    .define(async data => data.params.id === 404
+      ? new Response(404, {detail: 'not found'}, {headers: {'X-Request-Id': data.headers['X-Trace']}})
+      : new Response(200, data.body, {headers: {'X-Request-Id': 'abc'}}));
+  return api;
+}
+
+test('components are documented and referenced', () => {
+  const api = createApi();
+  const operation = api.doc.paths['/things/{id}'].put;
+  assert.deepStrictEqual(operation.parameters.slice(1),
+    [{$ref: '#/components/parameters/Limit'}, {$ref: '#/components/parameters/Trace'}]);
+  assert.deepStrictEqual(operation.requestBody, {$ref: '#/components/requestBodies/ThingBody'});
+  assert.deepStrictEqual(operation.responses['404'], {$ref: '#/components/responses/NotFound'});
+  assert.deepStrictEqual(operation.responses['200'].headers, {'X-Request-Id': {$ref: '#/components/headers/X-Request-Id'}});
+  assert.deepStrictEqual(operation.responses['200'].content['application/json'].examples,
+    {AThing: {$ref: '#/components/examples/AThing'}});
+  assert.deepStrictEqual(Object.keys(api.doc.components).sort(),
+    ['examples', 'headers', 'parameters', 'requestBodies', 'responses', 'schemas']);
+  assert.deepStrictEqual(api.validateSpec().errors, []);
+});
+
+test('referenced parameters and request bodies are validated', async () => {
+  const api = createApi();
+  const headers = {'X-Trace': 'abc'};
+  const valid = await api.inject({method: 'PUT', url: '/things/1?limit=3', headers, body: {id: 1}});
+  assert.strictEqual(valid.error, undefined);
+  assert.strictEqual(valid.response.status, 200);
+  assert.strictEqual(valid.data.query.limit, 3);
+
+  const tooMany = await api.inject({method: 'PUT', url: '/things/1?limit=30', headers, body: {id: 1}});
+  assert.strictEqual(tooMany.error.in, 'request');
+  assert.strictEqual(tooMany.error.details[0].pointer, '/limit');
+
+  const untraced = await api.inject({method: 'PUT', url: '/things/1', body: {id: 1}});
+  assert.strictEqual(untraced.error.details[0].location, 'headers');
+
+  const invalid = await api.inject({method: 'PUT', url: '/things/1', headers, body: {}});
+  assert.strictEqual(invalid.error.details[0].location, 'body');
+});
+
+test('referenced responses and headers are validated', async () => {
+  const api = createApi();
+  const valid = await api.inject({method: 'PUT', url: '/things/404', headers: {'X-Trace': 'abc'}, body: {id: 1}});
+  assert.strictEqual(valid.error, undefined);
+  assert.strictEqual(valid.response.status, 404);
+
+  const invalid = await api.inject({method: 'PUT', url: '/things/404', headers: {'X-Trace': 'xyz'}, body: {id: 1}});
+  assert.ok(invalid.error instanceof JSONValidationError);
+  assert.strictEqual(invalid.error.details[0].pointer, '/X-Request-Id');
+});
+
+test('components must be added before they are referenced', () => {
+  const api = createApi();
+  assert.throws(() => api.newEndpoint('getThing', 'get', '/thing', '', '', []).parameterRef('Offset'),
+    /parameters component Offset must be added before it is referenced/);
+});
+
+test('parameter components are checked like parameters', () => {
+  const api = createApi();
+  assert.throws(() => api.parameterComponent('Sort', 'body', 'sort', '', false, {type: 'string'}),
+    /value for 'loc' should be one of {query, path, header, cookie} for parameter sort in parameter component Sort/);
+  assert.throws(() => api.parameterComponent('Tags', 'query', 'tags', '', false, {type: 'string'}, {style: 'pipeDelimited'}),
+    /pipeDelimited style for parameter tags of parameter component Tags requires type 'array'/);
+});
+
+test('referenced responses without content can be mocked', async () => {
+  const api = createApi();
+  api.headerComponent('X-Count', 'The number of things which were deleted', true, {type: 'integer', minimum: 1})
+    .responseComponent('Deleted', 'The things were deleted')
+    .responseComponentHeader('Deleted', 'X-Count');
+  api.newEndpoint('deleteThing', 'delete', '/things/{id}', 'Delete a thing', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer'})
+    .responseRef(204, 'Deleted')
+    .define();
+  assert.deepStrictEqual(api.endpoints.deleteThing._responseContent, {});
+  api.enableMocks({seed: 'components', unhandledOnly: true});
+  const {response, error} = await api.inject({method: 'DELETE', url: '/things/1'});
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 204);
+  assert.strictEqual(response.body, undefined);
+  assert.ok(Number(response.headers['X-Count']) >= 1);
+});
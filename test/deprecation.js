@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI} = require('..');
+
+function createApi(removalDate, afterRemoval = undefined) {
+  const api = new OpenAPI('Test API', 'deprecation', 'http://localhost', '1.0.0', {}, [], () => {});
+  api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .response(200, 'The thing', {type: 'object'})
+    .deprecate('getOtherThing', removalDate, afterRemoval)
+    .define(async () => ({}));
+  api.newEndpoint('getOtherThing', 'get', '/other-thing', 'Get another thing', '', [])
+    .response(200, 'The thing', {type: 'object'})
+    .define(async () => ({}));
+  return api;
+}
+
+test('deprecated endpoints send the Deprecation, Sunset and Link headers', async () => {
+  const api = createApi('2999-01-01');
+  const calls = [];
+  api.onDeprecatedCall = endpoint => calls.push(endpoint.doc.operationId);
+  const {response, error} = await api.inject({method: 'GET', url: '/thing'});
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers['Deprecation'], 'true');
+  assert.strictEqual(response.headers['Sunset'], new Date('2999-01-01').toUTCString());
+  assert.strictEqual(response.headers['Link'], '</other-thing>; rel="successor-version"');
+  assert.deepStrictEqual(calls, ['getThing']);
+  assert.strictEqual(api.doc.paths['/thing'].get.deprecated, true);
+});
+
+test('removed endpoints respond with 410 under the gone policy', async () => {
+  const {response, error} = await createApi('2000-01-01', 'gone').inject({method: 'GET', url: '/thing'});
+  assert.strictEqual(error.status, 410);
+  assert.strictEqual(response.headers['Deprecation'], 'true');
+});
+
+test('removed endpoints respond with 410 before checking security and parameters', async () => {
+  const api = createApi('2000-01-01', 'gone');
+  api.securityScheme('apiKey', {type: 'apiKey', in: 'header', name: 'X-Api-Key'}, key => key === 'my-api-key');
+  api.newEndpoint('putThing', 'put', '/thing', 'Put a thing', '', [])
+    .security({apiKey: []})
+    .parameter('query', 'name', 'The name of the thing', true, {type: 'string'})
+    .response(204, 'Updated')
+    .deprecate('putOtherThing', '2000-01-01', 'gone')
+    .define(async () => {
+      throw new Error('removed endpoints are not called');
+    });
+  const unauthenticated = await api.inject({method: 'PUT', url: '/thing?name=thing'});
+  assert.strictEqual(unauthenticated.error.status, 410);
+  const invalid = await api.inject({method: 'PUT', url: '/thing', headers: {'X-Api-Key': 'my-api-key'}});
+  assert.strictEqual(invalid.error.status, 410);
+});
+
+test('removed endpoints are dropped from the documentation under the remove policy', () => {
+  const api = createApi('2000-01-01', 'remove');
+  assert.strictEqual(api.doc.paths['/thing'], undefined);
+  assert.notStrictEqual(api.doc.paths['/other-thing'], undefined);
+});
+
+test('removed endpoints are still served under the none policy', async () => {
+  const {response} = await createApi('2000-01-01').inject({method: 'GET', url: '/thing'});
+  assert.strictEqual(response.status, 200);
+});
+
+test('removal dates must be valid dates', () => {
+  assert.throws(() => createApi('bogus', 'gone'), /invalid removal date for getThing: bogus/);
+});
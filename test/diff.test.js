@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('assert');
+const {diffSpecs, summarizeDiff} = require('..');
+
+const ok = {200: {description: 'OK'}};
+
+function doc(operation = {}, path = '/things/{id}', extra = {}) {
+  return Object.assign({openapi: '3.0.0', info: {title: 'Test API', version: '1.0.0'}, paths: {
+    [path]: {get: Object.assign({operationId: 'getThing', responses: ok}, operation)},
+  }}, extra);
+}
+
+function requestBody(schema, required = true, mediaType = 'application/json') {
+  return doc({requestBody: {required, content: {[mediaType]: {schema}}}});
+}
+
+function responseBody(schema, mediaType = 'application/json') {
+  return doc({responses: {200: {description: 'OK', content: {[mediaType]: {schema}}}}});
+}
+
+function parameter(p) {
+  return doc({parameters: [Object.assign({name: 'q', in: 'query', schema: {type: 'string'}}, p)]});
+}
+
+function responseHeader(header) {
+  return doc({responses: {200: {description: 'OK', headers: header === undefined ? {} : {'X-Count': header}}}});
+}
+
+const object = (properties, extra = {}) => Object.assign({type: 'object', properties}, extra);
+
+const cases = [
+  ['operation-removed', true, doc(), {openapi: '3.0.0', paths: {}}],
+  ['operation-added', false, {openapi: '3.0.0', paths: {}}, doc()],
+  ['operation-deprecated', false, doc(), doc({deprecated: true})],
+  ['operation-id-changed', false, doc(), doc({operationId: 'fetchThing'})],
+  ['security-added', true, doc(), doc({security: [{apiKey: []}]})],
+  ['security-changed', true, doc({security: [{apiKey: []}]}), doc({security: [{bearer: []}]})],
+  ['security-changed', false, doc({security: [{apiKey: []}]}), doc({security: [{apiKey: []}, {bearer: []}]})],
+  ['required-parameter-added', true, doc(), parameter({required: true})],
+  ['parameter-added', false, doc(), parameter({})],
+  ['parameter-became-required', true, parameter({}), parameter({required: true})],
+  ['parameter-became-optional', false, parameter({required: true}), parameter({})],
+  ['parameter-serialization-changed', true, parameter({}), parameter({style: 'pipeDelimited'})],
+  ['parameter-removed', false, parameter({}), doc()],
+  ['required-request-body-added', true, doc(), requestBody({type: 'object'})],
+  ['request-body-added', false, doc(), requestBody({type: 'object'}, false)],
+  ['request-body-removed', false, requestBody({type: 'object'}), doc()],
+  ['request-body-became-required', true, requestBody({type: 'object'}, false), requestBody({type: 'object'})],
+  ['response-removed', true, doc({responses: {200: ok[200], 404: {description: 'Not found'}}}), doc()],
+  ['response-added', false, doc(), doc({responses: {200: ok[200], 404: {description: 'Not found'}}})],
+  ['response-header-removed', true, responseHeader({schema: {type: 'integer'}}), responseHeader()],
+  ['response-header-became-optional', true, responseHeader({required: true, schema: {type: 'integer'}}),
+    responseHeader({schema: {type: 'integer'}})],
+  ['response-header-added', false, responseHeader(), responseHeader({schema: {type: 'integer'}})],
+  ['media-type-removed', true, requestBody({type: 'object'}), requestBody({type: 'object'}, true, 'text/plain')],
+  ['media-type-removed', false, responseBody({type: 'object'}), responseBody({type: 'object'}, 'text/plain')],
+  ['media-type-added', false, requestBody({type: 'object'}, true, 'text/plain'), requestBody({type: 'object'})],
+  ['media-type-added', false, responseBody({type: 'object'}, 'text/plain'), responseBody({type: 'object'})],
+  ['schema-changed', true, requestBody(undefined), requestBody({type: 'string'})],
+  ['type-changed', true, requestBody({type: 'number'}), requestBody({type: 'integer'})],
+  ['type-changed', false, requestBody({type: 'integer'}), requestBody({type: 'number'})],
+  ['type-changed', true, responseBody({type: 'integer'}), responseBody({type: 'number'})],
+  ['nullable-changed', true, responseBody({type: 'string'}), responseBody({type: 'string', nullable: true})],
+  ['nullable-changed', false, requestBody({type: 'string'}), requestBody({type: 'string', nullable: true})],
+  ['enum-added', true, requestBody({type: 'string'}), requestBody({type: 'string', enum: ['a']})],
+  ['enum-removed', true, responseBody({type: 'string', enum: ['a']}), responseBody({type: 'string'})],
+  ['enum-narrowed', true, requestBody({enum: ['a', 'b']}), requestBody({enum: ['a']})],
+  ['enum-widened', true, responseBody({enum: ['a']}), responseBody({enum: ['a', 'b']})],
+  ['enum-widened', false, requestBody({enum: ['a']}), requestBody({enum: ['a', 'b']})],
+  ['format-changed', true, requestBody({type: 'string'}), requestBody({type: 'string', format: 'email'})],
+  ['format-changed', false, requestBody({type: 'string', format: 'email'}), requestBody({type: 'string'})],
+  ['format-changed', true, responseBody({type: 'string', format: 'email'}), responseBody({type: 'string'})],
+  ['format-changed', false, responseBody({type: 'string'}), responseBody({type: 'string', format: 'email'})],
+  ['constraint-tightened', true, requestBody({type: 'string'}), requestBody({type: 'string', maxLength: 10})],
+  ['constraint-loosened', true, responseBody({type: 'integer', maximum: 10}), responseBody({type: 'integer'})],
+  ['pattern-changed', true, requestBody({type: 'string'}), requestBody({type: 'string', pattern: '^a'})],
+  ['property-removed', true, responseBody(object({a: {type: 'string'}})), responseBody(object({}))],
+  ['property-removed', false, requestBody(object({a: {type: 'string'}})), requestBody(object({}))],
+  ['property-became-required', true, requestBody(object({a: {type: 'string'}})),
+    requestBody(object({a: {type: 'string'}}, {required: ['a']}))],
+  ['property-became-optional', true, responseBody(object({a: {type: 'string'}}, {required: ['a']})),
+    responseBody(object({a: {type: 'string'}}))],
+  ['required-property-added', true, requestBody(object({})), requestBody(object({a: {type: 'string'}}, {required: ['a']}))],
+  ['property-added', false, responseBody(object({})), responseBody(object({a: {type: 'string'}}))],
+  ['additional-properties-disallowed', true, requestBody(object({})), requestBody(object({}, {additionalProperties: false}))],
+  ['composition-added', true, requestBody({type: 'object'}), requestBody({type: 'object', anyOf: [{required: ['a']}]})],
+  ['composition-removed', true, responseBody({type: 'object', allOf: [{required: ['a']}]}), responseBody({type: 'object'})],
+  ['subschema-added', false, requestBody({oneOf: [{type: 'string'}]}), requestBody({oneOf: [{type: 'string'}, {type: 'integer'}]})],
+  ['subschema-added', true, responseBody({anyOf: [{type: 'string'}]}), responseBody({anyOf: [{type: 'string'}, {type: 'integer'}]})],
+  ['subschema-added', true, requestBody({allOf: [{type: 'object'}]}), requestBody({allOf: [{type: 'object'}, {required: ['a']}]})],
+  ['subschema-removed', true, requestBody({oneOf: [{type: 'string'}, {type: 'integer'}]}), requestBody({oneOf: [{type: 'string'}]})],
+  ['subschema-removed', true, responseBody({allOf: [{type: 'object'}, {required: ['a']}]}), responseBody({allOf: [{type: 'object'}]})],
+];
+
+function direction(before, after) {
+  const json = JSON.stringify([before, after]);
+  return json.includes('requestBody') ? ' in requests' : json.includes('content') ? ' in responses' : '';
+}
+
+cases.forEach(([kind, breaking, before, after]) => {
+  test(`${kind} is ${breaking ? '' : 'not '}breaking${direction(before, after)}`, () => {
+    const diff = diffSpecs(before, after);
+    const changes = diff.breaking.concat(diff.nonBreaking);
+    assert.ok(changes.some(c => c.kind === kind && c.breaking === breaking), summarizeDiff(diff));
+    assert.strictEqual(diff.hasBreakingChanges, diff.breaking.length > 0);
+  });
+});
+
+test('changes inside composed schemas are found', () => {
+  const schema = maxLength => ({oneOf: [{type: 'string', maxLength}, {$ref: '#/components/schemas/Thing'}]});
+  const components = required => ({components: {schemas: {Thing: object({a: {type: 'string'}}, {required})}}});
+  const before = doc({requestBody: {content: {'application/json': {schema: schema(10)}}}}, '/things/{id}', components([]));
+  const after = doc({requestBody: {content: {'application/json': {schema: schema(5)}}}}, '/things/{id}', components(['a']));
+  const {breaking} = diffSpecs(before, after);
+  assert.deepStrictEqual(breaking.map(c => [c.kind, c.location]), [
+    ['constraint-tightened', 'request body body.oneOf[0]'],
+    ['property-became-required', 'request body body.oneOf[1].a'],
+  ]);
+});
+
+test('the nullable form of Open API 3.0 is not compared as a composition', () => {
+  const nullable = {allOf: [{type: 'string'}, {nullable: true}]};
+  const {breaking, nonBreaking} = diffSpecs(responseBody(nullable), responseBody(nullable));
+  assert.deepStrictEqual(breaking.concat(nonBreaking), []);
+});
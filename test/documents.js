@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, Response} = require('..');
+
+const document = {
+  openapi: '3.0.3',
+  info: {title: 'Test API', description: 'documents', version: '1.0.0'},
+  servers: [{url: 'http://localhost'}],
+  tags: [{name: 'Things', description: ''}],
+  paths: {
+    '/things/{id}': {
+      parameters: [{$ref: '#/components/parameters/Id'}],
+      get: {
+        operationId: 'getThing',
+        tags: ['Things'],
+        parameters: [{$ref: '#/components/parameters/Fields'}],
+        responses: {
+          200: {$ref: '#/components/responses/Thing'},
+          404: {$ref: '#/components/responses/NotFound'},
+        },
+      },
+      put: {
+        operationId: 'putThing',
+        tags: ['Things'],
+        requestBody: {$ref: '#/components/requestBodies/Thing'},
+        responses: {
+          200: {$ref: '#/components/responses/Thing'},
+        },
+      },
+      delete: {
+        operationId: 'deleteThing',
+        tags: ['Things'],
+        responses: {
+          204: {description: 'Deleted'},
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Thing: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          id: {type: 'integer'},
+          name: {type: 'string', minLength: 1},
+        },
+      },
+    },
+    parameters: {
+      Id: {name: 'id', in: 'path', required: true, schema: {type: 'integer', minimum: 1}},
+      Fields: {name: 'fields', in: 'query', style: 'form', explode: false, schema: {type: 'array', items: {type: 'string'}}},
+    },
+    requestBodies: {
+      Thing: {
+        description: 'The thing',
+        required: true,
+        content: {'application/json': {schema: {$ref: '#/components/schemas/Thing'}}},
+      },
+    },
+    responses: {
+      Thing: {
+        description: 'The thing',
+        content: {'application/json': {schema: {$ref: '#/components/schemas/Thing'}}},
+      },
+      NotFound: {description: 'Not found'},
+    },
+  },
+};
+
+function createApi() {
+  const routes = [];
+  const api = OpenAPI.fromDocument(JSON.parse(JSON.stringify(document)), endpoint => {
+    routes.push(`${endpoint.method} ${endpoint.path}`);
+  });
+  return {api, routes};
+}
+
+const handlers = {
+  getThing: async data => {
+    if(data.params.id === 404) {
+      return new Response(404);
+    }
+    return {id: data.params.id, name: (data.query.fields || ['thing']).join(',')};
+  },
+  putThing: async data => Object.assign({id: data.params.id}, data.body),
+};
+
+test('documents define an endpoint for every operation', () => {
+  const {api, routes} = createApi();
+  assert.deepStrictEqual(routes, ['get /things/{id}', 'put /things/{id}', 'delete /things/{id}']);
+  assert.deepStrictEqual(Object.keys(api.endpoints), ['getThing', 'putThing', 'deleteThing']);
+  assert.deepStrictEqual(api.unhandledOperations(), ['getThing', 'putThing', 'deleteThing']);
+  assert.strictEqual(api.doc.info.title, 'Test API');
+  assert.deepStrictEqual(api.doc.servers, [{url: 'http://localhost'}]);
+});
+
+test('referenced parameters, request bodies and responses are resolved', async () => {
+  const {api} = createApi();
+  api.bindHandlers(handlers);
+
+  let result = await api.inject({method: 'GET', url: '/things/1?fields=a,b'});
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(result.response.body, {id: 1, name: 'a,b'});
+
+  result = await api.inject({method: 'GET', url: '/things/404'});
+  assert.strictEqual(result.response.status, 404);
+
+  result = await api.inject({method: 'GET', url: '/things/0'});
+  assert.strictEqual(result.error.in, 'request');
+  assert.deepStrictEqual(result.error.details.map(d => [d.location, d.keyword]), [['params', 'minimum']]);
+
+  result = await api.inject({method: 'PUT', url: '/things/2', body: {name: 'thing'}});
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(result.response.body, {id: 2, name: 'thing'});
+
+  result = await api.inject({method: 'PUT', url: '/things/2', body: {name: ''}});
+  assert.deepStrictEqual(result.error.details.map(d => [d.location, d.pointer, d.keyword]), [['body', '/name', 'minLength']]);
+
+  result = await api.inject({method: 'PUT', url: '/things/2'});
+  assert.strictEqual(result.error.in, 'request');
+});
+
+test('handlers are bound by operationId', () => {
+  const {api} = createApi();
+  assert.deepStrictEqual(api.bindHandlers(handlers), {
+    bound: ['getThing', 'putThing'],
+    unknown: [],
+    missing: ['deleteThing'],
+  });
+  assert.strictEqual(api.endpoints.getThing.func, handlers.getThing);
+  assert.strictEqual(api.endpoints.getThing.hasHandler, true);
+  assert.strictEqual(api.endpoints.deleteThing.hasHandler, false);
+});
+
+test('handlers for unknown operationIds are reported and not bound', () => {
+  const {api} = createApi();
+  const result = api.bindHandlers({getThing: handlers.getThing, listThings: async () => []});
+  assert.deepStrictEqual(result.bound, ['getThing']);
+  assert.deepStrictEqual(result.unknown, ['listThings']);
+  assert.deepStrictEqual(result.missing, ['putThing', 'deleteThing']);
+  assert.strictEqual(api.endpoints.listThings, undefined);
+});
+
+test('handlers which are not functions are rejected', () => {
+  const {api} = createApi();
+  assert.throws(() => api.bindHandlers({getThing: 'getThing'}), {message: 'handler for getThing must be a function'});
+  assert.strictEqual(api.endpoints.getThing.hasHandler, false);
+});
+
+test('operations without a handler fail when they are called', async () => {
+  const {api} = createApi();
+  api.bindHandlers(handlers);
+  const {error} = await api.inject({method: 'DELETE', url: '/things/1'});
+  assert.strictEqual(error.message, 'endpoint function is not defined for deleteThing');
+});
+
+test('operations need an operationId', () => {
+  const doc = JSON.parse(JSON.stringify(document));
+  delete doc.paths['/things/{id}'].delete.operationId;
+  assert.throws(() => OpenAPI.fromDocument(doc, () => {}), {message: 'missing operationId for delete /things/{id}'});
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const {OpenAPI} = require('..');
+
+function createApi(events) {
+  const api = new OpenAPI('Test API', 'hooks', 'http://localhost', '1.0.0', {}, [{name: 'Things', description: ''}]);
+  const record = (name, owner) => () => {
+    events.push(`${name}:${owner}`);
+  };
+  const hooks = owner => ({
+    onRequest: record('onRequest', owner),
+    beforeHandler: record('beforeHandler', owner),
+    afterHandler: record('afterHandler', owner),
+    onError: record('onError', owner),
+    onResponse: record('onResponse', owner),
+  });
+  assert.strictEqual(api.hooks(hooks('spec')), api);
+  api.newEndpoint('getThing', 'get', '/things/{id}', 'Get a thing', '', ['Things'])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer', minimum: 0})
+    .response(200, 'The thing', {type: 'object', properties: {id: {type: 'integer'}}})
+    .hooks(hooks('endpoint'))
+    .define(async data => {
+      events.push('handler');
+      if(data.params.id === 0) {
+        throw Object.assign(new Error('no thing'), {status: 404});
+      }
+      return {id: data.params.id};
+    });
+  const app = express();
+  api.mount(app, {tagHooks: {Things: hooks('tag')}});
+  return app;
+}
+
+async function request(app, path) {
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://localhost:${server.address().port}${path}`);
+    await res.text();
+    // onResponse runs once the response is sent
+    await new Promise(resolve => setImmediate(resolve));
+    return res.status;
+  } finally {
+    server.close();
+  }
+}
+
+const hookNames = ['onRequest', 'beforeHandler', 'afterHandler', 'onError', 'onResponse'];
+
+const stages = names => [].concat(...names.map(name => hookNames.includes(name)
+  ? [`${name}:spec`, `${name}:tag`, `${name}:endpoint`]
+  : [name]));
+
+test('hooks run in the order of the pipeline, from the spec to the tags to the endpoint', async () => {
+  const events = [];
+  assert.strictEqual(await request(createApi(events), '/things/1'), 200);
+  assert.deepStrictEqual(events, stages(['onRequest', 'beforeHandler', 'handler', 'afterHandler', 'onResponse']));
+});
+
+test('errors of the endpoint function run the onError hooks before onResponse', async () => {
+  const events = [];
+  assert.strictEqual(await request(createApi(events), '/things/0'), 404);
+  assert.deepStrictEqual(events, stages(['onRequest', 'beforeHandler', 'handler', 'onError', 'onResponse']));
+});
+
+test('invalid requests skip the beforeHandler hooks and the endpoint function', async () => {
+  const events = [];
+  assert.strictEqual(await request(createApi(events), '/things/-1'), 400);
+  assert.deepStrictEqual(events, stages(['onRequest', 'onError', 'onResponse']));
+});
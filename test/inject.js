@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI} = require('..');
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'inject', 'http://localhost', '1.0.0', {}, []);
+  api.newEndpoint('getCarrot', 'get', '/carrot/{name}', 'Get a carrot', '', [])
+    .parameter('path', 'name', 'The name of the carrot', true, {type: 'string'})
+    .response(200, 'The carrot', {type: 'object', properties: {name: {type: 'string'}}})
+    .define(async data => ({name: data.params.name}));
+  return api;
+}
+
+test('path parameters are decoded', async () => {
+  const {response} = await createApi().inject({method: 'GET', url: '/carrot/a%20b'});
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body, {name: 'a b'});
+});
+
+test('requests which no endpoint handles respond with 404', async () => {
+  const api = createApi();
+  assert.strictEqual((await api.inject({method: 'GET', url: '/apple'})).response.status, 404);
+  assert.strictEqual((await api.inject({method: 'POST', url: '/carrot/a'})).response.status, 404);
+});
+
+test('malformed percent-encodings in the path do not match', async () => {
+  const {response, error} = await createApi().inject({method: 'GET', url: '/carrot/%E0%A4%A'});
+  assert.strictEqual(response.status, 404);
+  assert.ok(error instanceof Error);
+});
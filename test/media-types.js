@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, JSONValidationError, UnsupportedMediaTypeError, ref} = require('..');
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'media types', 'http://localhost', '1.0.0', {
+    File: {type: 'string', format: 'binary'},
+    Attachment: {type: 'object', required: ['name'], properties: {name: {type: 'string'}, content: ref('File')}},
+  }, []);
+  api.newEndpoint('putPhoto', 'put', '/photos/{id}', 'Upload a photo', '', [])
+    .parameter('path', 'id', 'The id of the photo', true, {type: 'integer'})
+    .requestBody('The photo', true, {
+      type: 'object',
+      required: ['title', 'photo'],
+      properties: {
+        title: {type: 'string', minLength: 1},
+        photo: {type: 'string', format: 'binary'},
+        thumbnail: ref('File'),
+        extras: {type: 'array', items: ref('File')},
+      },
+    }, 'multipart/form-data', {photo: {contentType: 'image/png, image/jpeg'}, extras: {contentType: 'image/*'}})
+    .requestBody('The photo', true, {type: 'object', required: ['title'], properties: {
+      title: {type: 'string'},
+      data: {type: 'string', format: 'binary'},
+      attachment: ref('Attachment'),
+    }})
+    .requestBody('The photo', true, {type: 'string', format: 'binary'}, 'application/octet-stream')
+    .response(200, 'The photo', {type: 'object'})
+    .response(200, 'The photo', ref('File'), 'image/png')
+    .define(async data => data.params.id === 2 ? Buffer.from('png') : {contentType: data.contentType, fields: Object.keys(data.body)});
+  api.setResponseValidation('enforce');
+  return api;
+}
+
+const file = (fieldname, mimetype = 'image/png') =>
+  ({fieldname, originalname: `${fieldname}.png`, mimetype, buffer: Buffer.from('png'), size: 3});
+
+const multipart = {'Content-Type': 'multipart/form-data; boundary=abc'};
+
+test('multipart bodies are validated with their uploaded files', async () => {
+  const {response, error} = await createApi().inject({
+    method: 'PUT', url: '/photos/1', headers: multipart, body: {title: 'A photo'},
+    files: [file('photo'), file('thumbnail'), file('extras', 'image/gif'), file('extras')],
+  });
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(response.body, {contentType: 'multipart/form-data', fields: ['title', 'photo', 'thumbnail', 'extras']});
+});
+
+test('multipart bodies are validated against the multipart schema', async () => {
+  const {error} = await createApi().inject({
+    method: 'PUT', url: '/photos/1', headers: multipart, body: {title: ''}, files: [file('thumbnail')],
+  });
+  assert.ok(error instanceof JSONValidationError);
+  assert.deepStrictEqual(error.details.map(d => [d.pointer, d.keyword]), [['/photo', 'required'], ['/title', 'minLength']]);
+});
+
+test('uploaded files must have the content type of their encoding', async () => {
+  let {error} = await createApi().inject({
+    method: 'PUT', url: '/photos/1', headers: multipart, body: {title: 'A photo'}, files: [file('photo', 'image/gif')],
+  });
+  assert.ok(error instanceof UnsupportedMediaTypeError);
+  assert.strictEqual(error.status, 415);
+  assert.strictEqual(error.part, 'photo');
+  assert.strictEqual(error.mediaType, 'image/gif');
+  assert.deepStrictEqual(error.supported, ['image/png', 'image/jpeg']);
+  assert.strictEqual(error.message, 'unsupported media type: image/gif for part photo (expected one of {image/png, image/jpeg})');
+
+  ({error} = await createApi().inject({
+    method: 'PUT', url: '/photos/1', headers: multipart, body: {title: 'A photo'},
+    files: [file('photo'), file('extras'), file('extras', 'text/plain')],
+  }));
+  assert.ok(error instanceof UnsupportedMediaTypeError);
+  assert.strictEqual(error.part, 'extras');
+  assert.deepStrictEqual(error.supported, ['image/*']);
+});
+
+test('bodies of undeclared media types are rejected', async () => {
+  const {error} = await createApi().inject({
+    method: 'PUT', url: '/photos/1', headers: {'Content-Type': 'text/plain'}, body: 'A photo',
+  });
+  assert.ok(error instanceof UnsupportedMediaTypeError);
+  assert.strictEqual(error.status, 415);
+  assert.strictEqual(error.part, undefined);
+  assert.deepStrictEqual(error.supported, ['multipart/form-data', 'application/json', 'application/octet-stream']);
+});
+
+test('raw bodies accept buffers', async () => {
+  const {response, error} = await createApi().inject({
+    method: 'PUT', url: '/photos/1', headers: {'Content-Type': 'application/octet-stream'}, body: Buffer.from('png'),
+  });
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.body.contentType, 'application/octet-stream');
+});
+
+test('binary formats in JSON bodies are validated as strings', async () => {
+  const api = createApi();
+  let {error} = await api.inject({method: 'PUT', url: '/photos/1', body: {title: 'A photo', data: 'cG5n', attachment: {name: 'a', content: 'cG5n'}}});
+  assert.strictEqual(error, undefined);
+  ({error} = await api.inject({method: 'PUT', url: '/photos/1', body: {title: 'A photo', data: 1, attachment: {name: 'a', content: 2}}}));
+  assert.deepStrictEqual(error.details.map(d => [d.pointer, d.keyword]), [['/data', 'type'], ['/attachment/content', 'type']]);
+  assert.deepStrictEqual(api._jsonschemas.File, {type: 'string', format: 'binary'});
+});
+
+test('raw responses accept buffers', async () => {
+  const {response, error} = await createApi().inject({
+    method: 'PUT', url: '/photos/2', headers: {'Content-Type': 'application/octet-stream'}, body: Buffer.from('png'),
+  });
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.headers['Content-Type'], 'image/png');
+});
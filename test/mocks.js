@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI} = require('..');
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'mocks', 'http://localhost', '1.0.0', {
+    Thing: {
+      type: 'object',
+      required: ['id', 'code'],
+      properties: {
+        id: {type: 'integer', minimum: 1},
+        code: {type: 'string', pattern: '^[A-Z]{3}-\\d{4}$'},
+        version: {type: 'string', pattern: '^v\\d+(\\.\\d+)*$', maxLength: 8},
+      },
+    },
+  }, []);
+  api.setResponseValidation('enforce');
+  api.headerComponent('X-Request-Id', 'The id of the request', true, {type: 'string', pattern: '^r'});
+  api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .response(200, 'The thing', {$ref: '{Thing}'})
+    .responseHeaderRef(200, 'X-Request-Id')
+    .define();
+  api.newEndpoint('getCode', 'get', '/code', 'Get a code', '', [])
+    .response(200, 'The code', {type: 'string', pattern: '^(?!x)'})
+    .define();
+  return api;
+}
+
+test('mocked strings match their patterns', async () => {
+  for(const seed of ['a', 'b', 'c', 'd', 'e']) {
+    const api = createApi().enableMocks({seed});
+    const {response, error} = await api.inject({method: 'GET', url: '/thing'});
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['X-Request-Id'], /^r/);
+    assert.match(response.body.code, /^[A-Z]{3}-\d{4}$/);
+  }
+});
+
+test('patterns which cannot be mocked ask for an example', async () => {
+  const {error} = await createApi().enableMocks().inject({method: 'GET', url: '/code'});
+  assert.strictEqual(error.message,
+    'could not mock a string matching the pattern ^(?!x) (lookarounds are not supported); add an example to its schema');
+});
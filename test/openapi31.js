@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, ref} = require('..');
+
+function createApi(openapi = '3.1.0') {
+  const api = new OpenAPI('Test API', 'openapi 3.1', 'http://localhost', '1.0.0', {
+    Status: {type: 'string', enum: ['active', 'retired']},
+    Thing: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: {type: 'integer'},
+        name: {type: 'string', nullable: true, description: 'The name of the thing'},
+        owner: {'x-nullable': {type: 'string', description: 'The owner of the thing'}},
+        color: {'x-nullable': {type: 'string', enum: ['red', 'blue']}},
+        status: {'x-nullable': ref('Status')},
+        size: {type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 10, exclusiveMaximum: false},
+        point: {type: 'array', items: [{type: 'number'}, {type: 'number'}], additionalItems: false, example: [1, 2]},
+      },
+    },
+  }, [], undefined, {openapi});
+  api.newEndpoint('getThing', 'get', '/things/{id}', 'Get a thing', '', [])
+    .parameter('path', 'id', 'The id of the thing', true, {type: 'integer', maximum: 100, exclusiveMaximum: true})
+    .response(200, 'The thing', ref('Thing'))
+    .define(async data => ({id: data.params.id, owner: null, color: null, status: null}));
+  return api;
+}
+
+test('nullable schemas are output as type arrays', () => {
+  const {properties} = createApi().doc.components.schemas.Thing;
+  assert.deepStrictEqual(properties.name, {type: ['string', 'null'], description: 'The name of the thing'});
+  assert.deepStrictEqual(properties.owner, {type: ['string', 'null'], description: 'The owner of the thing'});
+  assert.deepStrictEqual(properties.color, {type: ['string', 'null'], enum: ['red', 'blue', null]});
+  assert.deepStrictEqual(properties.status, {anyOf: [{$ref: '#/components/schemas/Status'}, {type: 'null'}]});
+});
+
+test('exclusive bounds are output as numbers', () => {
+  const api = createApi();
+  const {properties} = api.doc.components.schemas.Thing;
+  assert.deepStrictEqual(properties.size, {type: 'number', exclusiveMinimum: 0, maximum: 10});
+  assert.deepStrictEqual(api.doc.paths['/things/{id}'].get.parameters[0].schema, {type: 'integer', exclusiveMaximum: 100});
+});
+
+test('tuples and examples use the keywords of JSON Schema 2020-12', () => {
+  const {point} = createApi().doc.components.schemas.Thing.properties;
+  assert.deepStrictEqual(point, {type: 'array', prefixItems: [{type: 'number'}, {type: 'number'}], items: false, examples: [[1, 2]]});
+});
+
+test('Open API 3.0 documents keep the 3.0 forms', () => {
+  const {properties} = createApi('3.0.0').doc.components.schemas.Thing;
+  assert.deepStrictEqual(properties.size, {type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 10, exclusiveMaximum: false});
+  assert.strictEqual(properties.name.nullable, true);
+});
+
+test('3.1 documents are valid', () => {
+  const api = createApi();
+  assert.strictEqual(api.doc.openapi, '3.1.0');
+  assert.deepStrictEqual(api.validateSpec(), {valid: true, missingRefs: [], errors: []});
+});
+
+test('3.1 documents are validated against the 3.1 schema', () => {
+  const api = new OpenAPI('Test API', 'openapi 3.0', 'http://localhost', '1.0.0', {Name: {'x-nullable': {type: 'string'}}}, []);
+  assert.strictEqual(api.validateSpec().valid, true);
+  // type arrays are only valid in 3.1
+  api.doc.components.schemas.Name = {type: ['string', 'null']};
+  assert.strictEqual(api.validateSpec().valid, false);
+  api.doc.openapi = '3.1.0';
+  api.doc.webhooks = {};
+  assert.deepStrictEqual(api.validateSpec(), {valid: true, missingRefs: [], errors: []});
+});
+
+test('requests and responses are validated as before', async () => {
+  const api = createApi();
+  api.setResponseValidation('enforce');
+  let result = await api.inject({method: 'GET', url: '/things/1'});
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(result.response.body, {id: 1, owner: null, color: null, status: null});
+  result = await api.inject({method: 'GET', url: '/things/100'});
+  assert.strictEqual(result.error.in, 'request');
+  assert.strictEqual(result.error.details[0].keyword, 'maximum');
+});
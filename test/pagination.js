@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, JSONValidationError} = require('..');
+
+const things = Array.from({length: 25}, (x, i) => ({id: i}));
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'pagination', 'http://localhost', '1.0.0', {}, []);
+  api.setResponseValidation('enforce');
+  api.newEndpoint('listThings', 'get', '/things', 'List things', '', [])
+    .response(200, 'The things', {type: 'object', properties: {id: {type: 'integer'}}})
+    .paginated({maxLimit: 10})
+    .define(async data => {
+      const {limit, offset} = data.pageRequest();
+      return data.page(things.slice(offset, offset + limit), {total: things.length});
+    });
+  api.newEndpoint('listCursor', 'get', '/cursor', 'List things by cursor', '', [])
+    .response(200, 'The things', {type: 'array', items: {type: 'object'}})
+    .paginated({style: 'cursor', defaultLimit: 5})
+    .define(async data => {
+      const {limit, cursor} = data.pageRequest();
+      const start = cursor === undefined ? 0 : Number(cursor);
+      return data.page(things.slice(start, start + limit), {next: start + limit < things.length ? String(start + limit) : null});
+    });
+  return api;
+}
+
+test('pages are wrapped in an envelope with Link and X-Total-Count headers', async () => {
+  const {response, error} = await createApi().inject({method: 'GET', url: '/things?limit=10&offset=10'});
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.items.map(t => t.id), [10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+  assert.strictEqual(response.body.next, 20);
+  assert.strictEqual(response.body.prev, 0);
+  assert.strictEqual(response.body.total, 25);
+  assert.strictEqual(response.headers['Link'], '</things?limit=10&offset=20>; rel="next", </things?limit=10&offset=0>; rel="prev"');
+  assert.strictEqual(response.headers['X-Total-Count'], '25');
+});
+
+test('the last page has no next page', async () => {
+  const {response} = await createApi().inject({method: 'GET', url: '/things?offset=20'});
+  assert.deepStrictEqual(response.body.items.map(t => t.id), [20, 21, 22, 23, 24]);
+  assert.strictEqual(response.body.next, undefined);
+  assert.strictEqual(response.headers['Link'], '</things?offset=10>; rel="prev"');
+});
+
+test('limits above the maximum are rejected', async () => {
+  const {error} = await createApi().inject({method: 'GET', url: '/things?limit=11'});
+  assert.ok(error instanceof JSONValidationError);
+  assert.strictEqual(error.in, 'request');
+  assert.strictEqual(error.details[0].pointer, '/limit');
+});
+
+test('cursor pages link to the next cursor', async () => {
+  const {response, error} = await createApi().inject({method: 'GET', url: '/cursor?cursor=20'});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(response.body.items.map(t => t.id), [20, 21, 22, 23, 24]);
+  assert.strictEqual(response.headers['Link'], undefined);
+
+  const first = await createApi().inject({method: 'GET', url: '/cursor'});
+  assert.strictEqual(first.response.body.next, '5');
+  assert.strictEqual(first.response.headers['Link'], '</cursor?cursor=5>; rel="next"');
+});
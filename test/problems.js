@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, Response, toProblem, ref} = require('..');
+
+test('error responses can reference ProblemDetails without the problem handler', async () => {
+  const api = new OpenAPI('Test API', 'problems', 'http://localhost', '1.0.0', {}, []);
+  api.setResponseValidation('enforce');
+  api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .response(404, 'Not found', ref('ProblemDetails'), 'application/problem+json')
+    .define(async () => new Response(404, toProblem({status: 404, message: 'not found'})));
+  assert.deepStrictEqual(api.validateSpec().errors, []);
+  const {response, error} = await api.inject({method: 'GET', url: '/thing'});
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(response.headers['Content-Type'], 'application/problem+json');
+  assert.strictEqual(response.body.detail, 'not found');
+});
+
+test('a ProblemDetails schema which is given is kept', () => {
+  const schema = {type: 'object', properties: {message: {type: 'string'}}};
+  const api = new OpenAPI('Test API', 'problems', 'http://localhost', '1.0.0', {ProblemDetails: schema}, []);
+  api.problemHandler();
+  assert.deepStrictEqual(api.doc.components.schemas.ProblemDetails, schema);
+});
+
+test('the ProblemDetails schema is only added once it is referenced or the problem handler is used', () => {
+  const api = new OpenAPI('Test API', 'problems', 'http://localhost', '1.0.0', {}, []);
+  api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .response(200, 'The thing', {type: 'object'})
+    .define(async () => ({}));
+  assert.deepStrictEqual(api.doc.components.schemas, {});
+  api.problemHandler();
+  assert.deepStrictEqual(Object.keys(api.doc.components.schemas), ['ProblemDetails']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, JSONValidationError} = require('..');
+
+function createApi(policy = undefined, options = {}) {
+  const api = new OpenAPI('Test API', 'response validation', 'http://localhost', '1.0.0', {}, []);
+  if(policy !== undefined) {
+    api.setResponseValidation(policy, options);
+  }
+  api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .parameter('query', 'valid', 'Whether to respond with a valid thing', true, {type: 'boolean'})
+    .response(200, 'The thing', {type: 'object', required: ['name'], properties: {name: {type: 'string'}}})
+    .responseHeader(200, 'X-Count', 'The number of things', false, {type: 'integer'})
+    .define(async data => data.query.valid ? {name: 'thing'} : {name: 1});
+  return api;
+}
+
+test('invalid responses are sent and passed on under the report policy', async () => {
+  const api = createApi();
+  const {response, error} = await api.inject({method: 'GET', url: '/thing?valid=false'});
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body, {name: 1});
+  assert.ok(error instanceof JSONValidationError);
+  assert.deepStrictEqual(api.responseValidationStats(), {getThing: {validated: 1, violations: 1}});
+});
+
+test('violations are only reported to onViolation when it is given', async () => {
+  const violations = [];
+  const api = createApi('report', {onViolation: error => violations.push(error)});
+  const {response, error} = await api.inject({method: 'GET', url: '/thing?valid=false'});
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(violations.length, 1);
+  assert.strictEqual(violations[0].details[0].pointer, '/name');
+});
+
+test('invalid responses are not sent under the enforce policy', async () => {
+  const api = createApi('enforce');
+  const {error, data} = await api.inject({method: 'GET', url: '/thing?valid=false'});
+  assert.ok(error instanceof JSONValidationError);
+  assert.strictEqual(error.in, 'response');
+  assert.strictEqual(data.res.writableEnded, false);
+
+  const valid = await api.inject({method: 'GET', url: '/thing?valid=true'});
+  assert.strictEqual(valid.error, undefined);
+  assert.deepStrictEqual(valid.response.body, {name: 'thing'});
+  assert.deepStrictEqual(api.responseValidationStats(), {getThing: {validated: 2, violations: 1}});
+});
+
+test('responses are not validated under the off policy', async () => {
+  const api = createApi('report');
+  api.endpoints.getThing.responseValidation('off');
+  const {error} = await api.inject({method: 'GET', url: '/thing?valid=false'});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(api.responseValidationStats(), {getThing: {validated: 0, violations: 0}});
+});
+
+test('response headers are validated', async () => {
+  const api = createApi('enforce');
+  api.endpoints.getThing.func = async () => ({name: 'thing', count: 1});
+  api.hooks({afterHandler: data => data.response.headers['X-Count'] = 'many'});
+  const {error} = await api.inject({method: 'GET', url: '/thing?valid=true'});
+  assert.ok(error instanceof JSONValidationError);
+  assert.strictEqual(error.details[0].location, 'headers');
+});
+
+test('the default Content-Type is the first documented media type which suits the body', async () => {
+  const api = new OpenAPI('Test API', 'response validation', 'http://localhost', '1.0.0', {}, []);
+  api.newEndpoint('getFile', 'get', '/file', 'Get a file', '', [])
+    .parameter('query', 'raw', 'Whether to respond with the raw file', true, {type: 'boolean'})
+    .response(200, 'The file', {type: 'object'})
+    .response(200, 'The file', {type: 'string', format: 'binary'}, 'application/octet-stream')
+    .define(async data => data.query.raw ? Buffer.from('file') : {name: 'file'});
+  api.newEndpoint('getJson', 'get', '/json', 'Get some JSON', '', [])
+    .response(200, 'The JSON', {type: 'object'})
+    .define(async () => Buffer.from('{}'));
+  const raw = await api.inject({method: 'GET', url: '/file?raw=true'});
+  assert.strictEqual(raw.response.headers['Content-Type'], 'application/octet-stream');
+  const json = await api.inject({method: 'GET', url: '/file?raw=false'});
+  assert.strictEqual(json.response.headers['Content-Type'], 'application/json');
+  const buffer = await api.inject({method: 'GET', url: '/json'});
+  assert.strictEqual(buffer.response.headers['Content-Type'], undefined);
+});
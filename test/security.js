@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const {OpenAPI, Response, SecurityError, toExpressPath} = require('..');
+
+function createApi() {
+  const app = express();
+  const authenticated = [];
+  const api = new OpenAPI('Test API', 'security', 'http://localhost', '1.0.0', {}, [], endpoint => {
+    app[endpoint.method](toExpressPath(endpoint.path), [
+      endpoint.attachDataMW,
+      endpoint.securityMW,
+      (req, res, next) => {
+        authenticated.push(req.oasData);
+        next();
+      },
+      endpoint.requestValidationMW,
+      endpoint.call,
+      endpoint.responseValidationMW,
+      (err, req, res, next) => {
+        res.status(err.status || 500).json({status: err.status, message: err.message, security: req.oasData.security});
+      }
+    ]);
+  });
+  api.securityScheme('apiKey', {type: 'apiKey', in: 'header', name: 'X-Api-Key'},
+    key => key === 'my-api-key' ? {name: 'api key user'} : null);
+  api.securityScheme('bearer', {type: 'http', scheme: 'bearer'}, (token, scopes, data) => {
+    if(token !== 'my-token') {
+      return null;
+    }
+    if(!scopes.every(s => s === 'thing:read')) {
+      throw new SecurityError(data.endpoint, 403, `missing scopes: ${scopes.join(', ')}`);
+    }
+    return {name: 'token user'};
+  });
+  api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .security({bearer: ['thing:read']})
+    .security({apiKey: []})
+    .response(200, 'The thing', {type: 'object', properties: {name: {type: 'string'}}})
+    .define(async data => ({name: data.principal.name}));
+  api.newEndpoint('deleteThing', 'delete', '/thing', 'Delete a thing', '', [])
+    .security({bearer: ['thing:write']})
+    .response(204, 'Deleted')
+    .define(async () => new Response(204));
+  return {app, authenticated};
+}
+
+async function request(app, method, path, headers = {}) {
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://localhost:${server.address().port}${path}`, {method, headers});
+    const text = await res.text();
+    return {status: res.status, body: text ? JSON.parse(text) : undefined};
+  } finally {
+    server.close();
+  }
+}
+
+test('requests without credentials are unauthorized', async () => {
+  const {status, body} = await request(createApi().app, 'GET', '/thing');
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.status, 401);
+});
+
+test('requests with invalid credentials are unauthorized', async () => {
+  const {status} = await request(createApi().app, 'GET', '/thing', {'X-Api-Key': 'wrong'});
+  assert.strictEqual(status, 401);
+});
+
+test('any one security requirement authenticates the request', async () => {
+  const {app, authenticated} = createApi();
+  const byKey = await request(app, 'GET', '/thing', {'X-Api-Key': 'my-api-key'});
+  assert.strictEqual(byKey.status, 200);
+  assert.deepStrictEqual(byKey.body, {name: 'api key user'});
+
+  const byToken = await request(app, 'GET', '/thing', {Authorization: 'Bearer my-token'});
+  assert.strictEqual(byToken.status, 200);
+  assert.deepStrictEqual(byToken.body, {name: 'token user'});
+  assert.deepStrictEqual(authenticated[1].security, {bearer: {name: 'token user'}});
+});
+
+test('principals without the required scopes are forbidden', async () => {
+  const {status, body} = await request(createApi().app, 'DELETE', '/thing', {Authorization: 'Bearer my-token'});
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.message, 'missing scopes: thing:write');
+});
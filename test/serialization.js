@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI} = require('..');
+
+const strings = {type: 'array', items: {type: 'string'}};
+const integers = {type: 'array', items: {type: 'integer'}};
+const point = {type: 'object', properties: {x: {type: 'string'}, y: {type: 'string'}}};
+
+// location, style, explode, schema, value, and the value as it is sent
+const cases = [
+  ['query', 'form', true, {type: 'integer'}, 5, 'v=5'],
+  ['query', 'form', true, strings, ['a', 'b'], 'v=a&v=b'],
+  ['query', 'form', false, strings, ['a', 'b'], 'v=a%2Cb'],
+  ['query', 'form', true, point, {x: '1', y: '2'}, 'x=1&y=2'],
+  ['query', 'form', false, point, {x: '1', y: '2'}, 'v=x%2C1%2Cy%2C2'],
+  ['query', 'spaceDelimited', false, strings, ['a', 'b'], 'v=a+b'],
+  ['query', 'pipeDelimited', false, integers, [1, 2], 'v=1%7C2'],
+  ['query', 'deepObject', true, point, {x: '1', y: '2'}, 'v%5Bx%5D=1&v%5By%5D=2'],
+  ['path', 'simple', false, {type: 'string'}, 'a b', 'a%20b'],
+  ['path', 'simple', false, integers, [1, 2], '1,2'],
+  ['path', 'simple', false, point, {x: '1', y: '2'}, 'x,1,y,2'],
+  ['path', 'simple', true, point, {x: '1', y: '2'}, 'x=1,y=2'],
+  ['path', 'label', false, {type: 'integer'}, 5, '.5'],
+  ['path', 'label', false, strings, ['a', 'b'], '.a,b'],
+  ['path', 'label', true, strings, ['a', 'b'], '.a.b'],
+  ['path', 'label', false, point, {x: '1', y: '2'}, '.x,1,y,2'],
+  ['path', 'label', true, point, {x: '1', y: '2'}, '.x=1.y=2'],
+  ['path', 'matrix', false, {type: 'boolean'}, true, ';v=true'],
+  ['path', 'matrix', false, strings, ['a', 'b'], ';v=a,b'],
+  ['path', 'matrix', true, strings, ['a', 'b'], ';v=a;v=b'],
+  ['path', 'matrix', false, point, {x: '1', y: '2'}, ';v=x,1,y,2'],
+  ['path', 'matrix', true, point, {x: '1', y: '2'}, ';x=1;y=2'],
+  ['header', 'simple', false, {type: 'number'}, 1.5, '1.5'],
+  ['header', 'simple', false, strings, ['a', 'b'], 'a,b'],
+  ['header', 'simple', false, point, {x: '1', y: '2'}, 'x,1,y,2'],
+  ['header', 'simple', true, point, {x: '1', y: '2'}, 'x=1,y=2'],
+  ['cookie', 'form', false, {type: 'string'}, 'a b', 'v=a%20b'],
+  ['cookie', 'form', false, strings, ['a', 'b'], 'v=a,b'],
+];
+
+const locations = {query: 'query', path: 'params', header: 'headers', cookie: 'cookies'};
+
+function createApi() {
+  const api = new OpenAPI('Test API', 'serialization', 'http://localhost', '1.0.0', {}, []);
+  cases.forEach(([loc, style, explode, schema], i) => {
+    api.newEndpoint(`case${i}`, 'get', loc === 'path' ? `/cases/${i}/{v}` : `/cases/${i}`, `Case ${i}`, '', [])
+      .parameter(loc, loc === 'header' ? 'X-V' : 'v', 'The value', true, schema, undefined, {style, explode})
+      .define(async data => data[locations[loc]]);
+  });
+  return api;
+}
+
+const api = createApi();
+const sent = [];
+const client = api.createClient('http://localhost', {fetch: async (url, init) => {
+  const {pathname, search} = new URL(url);
+  sent.push({pathname, search, headers: init.headers});
+  const {response, error} = await api.inject({method: init.method, url: `${pathname}${search}`, headers: init.headers});
+  if(error !== undefined) {
+    throw error;
+  }
+  return new globalThis.Response(JSON.stringify(response.body), {headers: {'Content-Type': 'application/json'}});
+}});
+
+cases.forEach(([loc, style, explode, schema, value, wire], i) => {
+  test(`${loc} ${style}${explode ? ' exploded' : ''} ${schema.type} ${JSON.stringify(value)} round trips as ${wire}`, async () => {
+    const name = loc === 'header' ? 'X-V' : 'v';
+    const {body} = await client[`case${i}`]({[locations[loc]]: {[name]: value}});
+    const {pathname, search, headers} = sent[sent.length - 1];
+    const serialized = {
+      query: () => search.slice(1),
+      path: () => pathname.slice(`/cases/${i}/`.length),
+      header: () => headers['X-V'],
+      cookie: () => headers.Cookie,
+    }[loc]();
+    assert.strictEqual(serialized, wire);
+    assert.deepStrictEqual(body, {[name]: value});
+  });
+});
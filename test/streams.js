@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, JSONValidationError} = require('..');
+
+function createApi(policy = 'report') {
+  const api = new OpenAPI('Test API', 'streams', 'http://localhost', '1.0.0', {}, []);
+  api.setResponseValidation(policy);
+  api.newEndpoint('listThings', 'get', '/things', 'Stream things', '', [])
+    .parameter('query', 'valid', 'Whether to stream valid things', false, {type: 'boolean', default: true})
+    .streamResponse(200, 'The things', {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}})
+    .define(async function*(data) {
+      yield {id: 1};
+      yield data.query.valid === false ? {id: 'two'} : {id: 2};
+      yield {id: 3};
+    });
+  api.newEndpoint('watchThings', 'get', '/things/events', 'Watch things', '', [])
+    .eventStreamResponse(200, 'Changes to things', {created: {type: 'integer'}})
+    .define(async () => [{event: 'created', data: 1, id: '1'}, {event: 'deleted', data: 1}]);
+  return api;
+}
+
+test('streamed responses are sent as newline delimited JSON', async () => {
+  const {response, error} = await createApi().inject({method: 'GET', url: '/things'});
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers['Content-Type'], 'application/x-ndjson');
+  assert.strictEqual(response.body, '{"id":1}\n{"id":2}\n{"id":3}\n');
+});
+
+test('invalid items end the stream under the enforce policy', async () => {
+  const api = createApi('enforce');
+  const {response, error} = await api.inject({method: 'GET', url: '/things?valid=false'});
+  assert.ok(error instanceof JSONValidationError);
+  assert.strictEqual(error.details[0].pointer, '/id');
+  assert.strictEqual(response.body, '{"id":1}\n');
+  assert.deepStrictEqual(api.responseValidationStats().listThings, {validated: 1, violations: 1});
+});
+
+test('undocumented events are violations', async () => {
+  const {response, error} = await createApi().inject({method: 'GET', url: '/things/events'});
+  assert.strictEqual(response.headers['Content-Type'], 'text/event-stream');
+  assert.strictEqual(response.headers['Cache-Control'], 'no-cache');
+  assert.strictEqual(response.body, 'id: 1\nevent: created\ndata: 1\n\nevent: deleted\ndata: 1\n\n');
+  assert.ok(error instanceof JSONValidationError);
+  assert.strictEqual(error.details[0].message, 'event deleted is not documented');
+});
+
+test('streamed items are documented under x-itemSchema', () => {
+  const api = createApi();
+  const media = api.doc.paths['/things'].get.responses['200'].content['application/x-ndjson'];
+  assert.deepStrictEqual(media['x-itemSchema'].required, ['id']);
+  assert.deepStrictEqual(api.validateSpec().errors, []);
+});
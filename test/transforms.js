@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI} = require('..');
+
+function createApi(additionalProperties) {
+  const api = new OpenAPI('Test API', 'request transforms', 'http://localhost', '1.0.0', {}, []);
+  api.requestTransforms = {useDefaults: true, removeAdditional: true};
+  const schema = {type: 'object', properties: {name: {type: 'string'}, size: {type: 'integer', default: 1}}};
+  if(additionalProperties !== undefined) {
+    schema.additionalProperties = additionalProperties;
+  }
+  api.newEndpoint('putThing', 'put', '/thing', 'Put a thing', '', [])
+    .requestBody('The thing', true, schema)
+    .response(200, 'The thing', {type: 'object'})
+    .define(async data => data.body);
+  return api;
+}
+
+test('undeclared properties are removed when additional properties are not allowed', async () => {
+  const api = createApi(false);
+  const {response, error} = await api.inject({method: 'PUT', url: '/thing', body: {name: 'thing', color: 'red'}});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(response.body, {name: 'thing', size: 1});
+});
+
+test('undeclared properties are kept when additionalProperties is not set', async () => {
+  const api = createApi();
+  const {response, error} = await api.inject({method: 'PUT', url: '/thing', body: {name: 'thing', color: 'red'}});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(response.body, {name: 'thing', color: 'red', size: 1});
+});
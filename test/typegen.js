@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, ref, arrayOf, generateTypes} = require('..');
+
+function createApi(schemas = {}) {
+  return new OpenAPI('Test API', 'typegen', 'http://localhost', '1.0.0', schemas, []);
+}
+
+const header = '// Generated from the Open API specification. Do not edit.\n';
+
+test('component schemas are declared as interfaces and types', () => {
+  const api = createApi({
+    Status: {type: 'string', enum: ['active', 'retired'], description: 'The status of a thing'},
+    Size: {type: 'integer', enum: [1, 2, 3]},
+    Tag: {type: 'object', required: ['name'], properties: {name: {type: 'string'}}, additionalProperties: false},
+    Thing: {
+      type: 'object',
+      required: ['id', 'status'],
+      properties: {
+        id: {type: 'integer'},
+        status: ref('Status'),
+        owner: {'x-nullable': {type: 'string'}},
+        parent: {'x-nullable': ref('Thing')},
+        tags: arrayOf(ref('Tag')),
+        sizes: {type: 'array', items: {'x-nullable': ref('Size')}},
+        'display-name': {type: 'string', deprecated: true},
+        attributes: {type: 'object', additionalProperties: {type: 'string'}},
+      },
+    },
+  });
+  assert.strictEqual(generateTypes(api), `${header}
+export type Size = 1 | 2 | 3;
+
+/** The status of a thing */
+export type Status = "active" | "retired";
+
+export interface Tag {
+  name: string;
+}
+
+export interface Thing {
+  id: number;
+  status: Status;
+  owner?: string | null;
+  parent?: Thing | null;
+  tags?: Array<Tag>;
+  sizes?: Array<Size | null>;
+  /** @deprecated */
+  "display-name"?: string;
+  attributes?: {
+    [key: string]: string;
+  };
+}
+`);
+});
+
+test('request and response bodies of every media type are included', () => {
+  const api = createApi({Tag: {type: 'object', required: ['name'], properties: {name: {type: 'string'}}}});
+  api.newEndpoint('putTag', 'put', '/tags/{id}', 'Replace a tag', '', [])
+    .parameter('path', 'id', 'The id of the tag', true, {type: 'integer'})
+    .parameter('query', 'dryRun', 'Only validate the tag', false, {type: 'boolean'})
+    .requestBody('The tag', true, ref('Tag'))
+    .requestBody('The tag', true, {type: 'string'}, 'text/plain')
+    .response(200, 'The tag', ref('Tag'))
+    .response(200, 'The tag', {type: 'string'}, 'text/csv')
+    .response(204, 'Nothing changed')
+    .define(async () => {});
+  assert.strictEqual(generateTypes(api), `${header}
+export interface Tag {
+  name: string;
+}
+
+/** Data supplied to the function of putTag */
+export interface PutTagData {
+  query: {
+    dryRun?: boolean;
+  };
+  params: {
+    id: number;
+  };
+  headers: Record<string, unknown>;
+  cookies: Record<string, unknown>;
+  body: Tag | string;
+}
+
+/** Response bodies of putTag, mapped from status codes */
+export interface PutTagResponses {
+  /** The tag */
+  "200": Tag | string;
+  /** Nothing changed */
+  "204": void;
+}
+
+export type PutTagResponse = PutTagResponses[keyof PutTagResponses];
+`);
+});
+
+test('streamed responses are typed as iterables of their items', () => {
+  const api = createApi({Tag: {type: 'object', required: ['name'], properties: {name: {type: 'string'}}}});
+  api.newEndpoint('listTags', 'get', '/tags', 'Stream tags', '', [])
+    .streamResponse(200, 'The tags', ref('Tag'))
+    .define(async function*() {});
+  api.newEndpoint('watchTags', 'get', '/tags/events', 'Watch tags', '', [])
+    .eventStreamResponse(200, 'Changes to tags', {created: ref('Tag'), message: {type: 'string'}})
+    .define(async () => []);
+  const types = generateTypes(api);
+  assert.ok(types.includes(`export interface ListTagsResponses {
+  /** The tags */
+  "200": AsyncIterable<Tag> | Array<Tag>;
+}
+`), types);
+  assert.ok(types.includes(`export interface WatchTagsResponses {
+  /** Changes to tags */
+  "200": AsyncIterable<{
+    event: "created";
+    data: Tag;
+    id?: string;
+    retry?: number;
+  } | {
+    event?: "message";
+    data: string;
+    id?: string;
+    retry?: number;
+  }> | Array<{
+    event: "created";
+    data: Tag;
+    id?: string;
+    retry?: number;
+  } | {
+    event?: "message";
+    data: string;
+    id?: string;
+    retry?: number;
+  }>;
+}
+`), types);
+});
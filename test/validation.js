@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI, ref, arrayOf} = require('..');
+
+const schemas = {
+  Address: {
+    type: 'object',
+    required: ['street'],
+    properties: {
+      street: {type: 'string', minLength: 1},
+      zip: {type: 'string', pattern: '^[0-9]{5}$'},
+    },
+    additionalProperties: false,
+  },
+  Cat: {
+    type: 'object',
+    required: ['meows'],
+    properties: {meows: {type: 'boolean'}},
+  },
+  Dog: {
+    type: 'object',
+    required: ['barks'],
+    properties: {barks: {type: 'boolean'}},
+  },
+  Category: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {type: 'string'},
+      children: arrayOf(ref('Category')),
+    },
+  },
+  Thing: {
+    type: 'object',
+    required: ['name', 'address'],
+    properties: {
+      name: {type: 'string', 'x-validator': 'notReserved'},
+      email: {type: 'string', format: 'email'},
+      created: {type: 'string', format: 'date-time'},
+      address: ref('Address'),
+      pet: {oneOf: [ref('Cat'), ref('Dog')]},
+      owner: {anyOf: [{type: 'string'}, ref('Address')]},
+      size: {allOf: [{type: 'integer'}, {minimum: 1}, {maximum: 10}]},
+      category: ref('Category'),
+      labels: {type: 'object', additionalProperties: {type: 'string', maxLength: 3}},
+    },
+  },
+};
+
+function createApi(compileValidators) {
+  const api = new OpenAPI('Test API', 'validation', 'http://localhost', '1.0.0', schemas, []);
+  api.compileValidators = compileValidators;
+  api.validatorFuncs.notReserved = function(instance) {
+    if(instance === 'reserved') {
+      this.addError('is a reserved name');
+    }
+  };
+  api.newEndpoint('putThing', 'put', '/thing', 'Replace a thing', '', [])
+    .parameter('query', 'tag', 'A tag', false, {type: 'string', pattern: '^[a-z]+$'})
+    .requestBody('The thing', true, ref('Thing'))
+    .response(200, 'The thing', ref('Thing'))
+    .define(async data => data.body);
+  return api;
+}
+
+const valid = {name: 'thing', address: {street: '1 Main St'}};
+
+const instances = [
+  valid,
+  Object.assign({}, valid, {
+    email: 'thing@example.com',
+    created: '2020-01-01T00:00:00Z',
+    address: {street: '1 Main St', zip: '12345'},
+    pet: {barks: true},
+    owner: {street: '2 Side St'},
+    size: 5,
+    category: {name: 'a', children: [{name: 'b', children: [{name: 'c'}]}]},
+    labels: {a: 'abc'},
+  }),
+  {},
+  {name: 1, address: 'nowhere'},
+  Object.assign({}, valid, {name: 'reserved'}),
+  Object.assign({}, valid, {email: 'not an email', created: 'yesterday'}),
+  Object.assign({}, valid, {address: {street: '', zip: '1234'}}),
+  Object.assign({}, valid, {address: {street: '1 Main St', city: 'Springfield'}}),
+  Object.assign({}, valid, {pet: {meows: true, barks: true}}),
+  Object.assign({}, valid, {pet: {}}),
+  Object.assign({}, valid, {owner: 1}),
+  Object.assign({}, valid, {owner: {zip: 'abcde'}}),
+  Object.assign({}, valid, {size: 11}),
+  Object.assign({}, valid, {size: 1.5}),
+  Object.assign({}, valid, {category: {name: 'a', children: [{children: [{name: 1}]}]}}),
+  Object.assign({}, valid, {labels: {a: 'abcd', b: 1}}),
+];
+
+function summarize({error}) {
+  return error === undefined ? undefined : {in: error.in, errors: error.errors, details: error.details};
+}
+
+test('endpoint validators find the same errors as the validator of the spec', async () => {
+  const resolved = createApi(true);
+  const shared = createApi(false);
+  for(const [i, body] of instances.entries()) {
+    for(const url of ['/thing', '/thing?tag=abc', '/thing?tag=ABC']) {
+      const request = {method: 'PUT', url, body: JSON.parse(JSON.stringify(body))};
+      const expected = summarize(await shared.inject(request));
+      const actual = summarize(await resolved.inject(Object.assign({}, request, {body: JSON.parse(JSON.stringify(body))})));
+      assert.deepStrictEqual(actual, expected, `instance ${i} at ${url}`);
+      assert.strictEqual(expected === undefined, i < 2 && url !== '/thing?tag=ABC', `instance ${i} at ${url}`);
+    }
+  }
+});
+
+test('endpoint validators find the same errors in responses', async () => {
+  for(const compileValidators of [true, false]) {
+    const api = createApi(compileValidators);
+    api.endpoints.putThing.define(async () => ({name: 'reserved', address: {street: '1 Main St', city: 'Springfield'}}));
+    const {error} = await api.inject({method: 'PUT', url: '/thing', body: valid});
+    assert.strictEqual(error.in, 'response');
+    assert.deepStrictEqual(error.details.map(d => d.pointer), ['/name', '/address']);
+    assert.strictEqual(error.details[0].message, 'is a reserved name');
+    assert.strictEqual(error.details[1].keyword, 'additionalProperties');
+  }
+});
+
+test('validator options are applied to the validators of the endpoints', async () => {
+  const api = createApi(true);
+  api.validatorOptions = async () => ({skipAttributes: ['pattern', 'additionalProperties']});
+  const {error} = await api.inject({method: 'PUT', url: '/thing?tag=ABC', body: Object.assign({}, valid, {
+    address: {street: '1 Main St', zip: '1234', city: 'Springfield'},
+  })});
+  assert.strictEqual(error, undefined);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('assert');
+const {OpenAPI} = require('..');
+
+function createApi(by = undefined) {
+  const api = new OpenAPI('Test API', 'versioning', 'http://localhost', '1.0.0', {}, [], () => {});
+  if(by !== undefined) {
+    api.setVersioning(by);
+  }
+  const v1 = api.newEndpoint('getThing', 'get', '/thing', 'Get a thing', '', [])
+    .version(1)
+    .parameter('query', 'name', 'The name of the thing', false, {type: 'string'}, 'string')
+    .response(200, 'The thing', {type: 'object', required: ['version'], properties: {version: {type: 'integer'}}})
+    .define(async () => ({version: 1}));
+  v1.newVersion(2)
+    .removeParameter('query', 'name')
+    .define(async () => ({version: 2}));
+  return api;
+}
+
+test('versions are selected by the path by default', async () => {
+  const api = createApi();
+  assert.deepStrictEqual(Object.keys(api.doc.paths).sort(), ['/v1/thing', '/v2/thing']);
+  assert.deepStrictEqual((await api.inject({method: 'GET', url: '/v1/thing'})).response.body, {version: 1});
+  assert.deepStrictEqual((await api.inject({method: 'GET', url: '/v2/thing'})).response.body, {version: 2});
+  assert.strictEqual((await api.inject({method: 'GET', url: '/thing'})).response.status, 404);
+});
+
+test('new versions inherit the documentation of the previous version', () => {
+  const api = createApi();
+  assert.deepStrictEqual(api.doc.paths['/v1/thing'].get.parameters.map(p => p.name), ['name']);
+  assert.deepStrictEqual(api.doc.paths['/v2/thing'].get.parameters, []);
+  assert.deepStrictEqual(api.doc.paths['/v2/thing'].get.responses, api.doc.paths['/v1/thing'].get.responses);
+  assert.deepStrictEqual(api.validateSpec().errors, []);
+});
+
+test('versions may be selected by a header, defaulting to the latest version', async () => {
+  const api = createApi('header');
+  assert.deepStrictEqual(Object.keys(api.doc.paths), ['/thing']);
+  const v1 = await api.inject({method: 'GET', url: '/thing', headers: {'Api-Version': '1'}});
+  assert.deepStrictEqual(v1.response.body, {version: 1});
+  const latest = await api.inject({method: 'GET', url: '/thing'});
+  assert.deepStrictEqual(latest.response.body, {version: 2});
+  const missing = await api.inject({method: 'GET', url: '/thing', headers: {'Api-Version': '3'}});
+  assert.strictEqual(missing.response.status, 404);
+});
+
+test('versions may be selected by a media type parameter', async () => {
+  const api = createApi('mediaType');
+  const v1 = await api.inject({method: 'GET', url: '/thing', headers: {Accept: 'application/json; version=1'}});
+  assert.deepStrictEqual(v1.response.body, {version: 1});
+  assert.deepStrictEqual(api.endpoints.getThing_v1.versionHeaders(), {Accept: 'application/json; version=1'});
+});
+
+test('new versions of operations without response bodies can be mocked', async () => {
+  const api = new OpenAPI('Test API', 'versioning', 'http://localhost', '1.0.0', {}, []);
+  api.newEndpoint('deleteThing', 'delete', '/thing', 'Delete a thing', '', [])
+    .version(1)
+    .response(204, 'Deleted')
+    .define()
+    .newVersion(2)
+    .define();
+  assert.deepStrictEqual(api.endpoints.deleteThing_v2._responseContent, {});
+  api.enableMocks({seed: 'versioning'});
+  const {response, error} = await api.inject({method: 'DELETE', url: '/v2/thing'});
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(response.status, 204);
+  assert.strictEqual(response.body, undefined);
+  assert.strictEqual(response.headers['Content-Type'], undefined);
+});
@@ -0,0 +1,304 @@
+const utils = require('./utils');
+
+const identifierPattern = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Convert a name into a valid TypeScript type name.
+ * @param name {string}
+ * @returns {string}
+ */
+function typeName(name) {
+  const n = name.replace(/[^A-Za-z0-9_$]/g, '_');
+  return /^[0-9]/.test(n) ? `_${n}` : n.charAt(0).toUpperCase() + n.slice(1);
+}
+
+/**
+ * Get the name of the component schema which is referenced by a $ref value.
+ * @param ref {string} - One of '/Name', '{Name}', or '#/components/schemas/Name'
+ * @returns {string}
+ */
+function refName(ref) {
+  if(ref.startsWith('#/components/schemas/')) {
+    return ref.slice('#/components/schemas/'.length);
+  }
+  if(ref.startsWith('{') && ref.endsWith('}')) {
+    return ref.slice(1, ref.length - 1);
+  }
+  return ref.replace(/^\//, '');
+}
+
+/**
+ * Format a doc comment at the given indentation.
+ * @param schema {Object}
+ * @param indent {string}
+ * @returns {string}
+ */
+function docComment(schema, indent) {
+  const lines = [];
+  if(schema && schema.description) {
+    lines.push(...String(schema.description).split('\n'));
+  }
+  if(schema && schema.deprecated) {
+    lines.push('@deprecated');
+  }
+  if(lines.length === 0) {
+    return '';
+  }
+  if(lines.length === 1) {
+    return `${indent}/** ${lines[0].replace(/\*\//g, '*\\/')} */\n`;
+  }
+  return `${indent}/**\n${lines.map(l => `${indent} * ${l.replace(/\*\//g, '*\\/')}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * Wrap a type in parentheses when it is a union or intersection, so that it may be used as an operand.
+ * @param type {string}
+ * @returns {string}
+ */
+function operand(type) {
+  let depth = 0;
+  let quoted = false;
+  for(let i = 0; i < type.length; i++) {
+    const c = type[i];
+    if(quoted) {
+      if(c === '\\') {
+        i++;
+      } else if(c === '"') {
+        quoted = false;
+      }
+    } else if(c === '"') {
+      quoted = true;
+    } else if('{<(['.includes(c)) {
+      depth++;
+    } else if('}>)]'.includes(c)) {
+      depth--;
+    } else if(depth === 0 && (c === '|' || c === '&')) {
+      return `(${type})`;
+    }
+  }
+  return type;
+}
+
+/**
+ * Join types into a union, removing duplicates.
+ * @param types {string[]}
+ * @returns {string}
+ */
+function union(types) {
+  const unique = types.filter((t, i) => types.indexOf(t) === i);
+  if(unique.includes('unknown')) {
+    return 'unknown';
+  }
+  if(unique.length === 1) {
+    return unique[0];
+  }
+  return unique.length ? unique.map(operand).join(' | ') : 'never';
+}
+
+/**
+ * Convert a jsonschema object into a TypeScript type.
+ * @param schema {Object|boolean|undefined}
+ * @param indent {string} - The indentation of the line on which the type begins.
+ * @returns {string}
+ */
+function toType(schema, indent = '') {
+  if(schema === undefined || schema === true || schema === null || typeof schema !== 'object') {
+    return schema === false ? 'never' : 'unknown';
+  }
+  if(typeof schema.$ref === 'string') {
+    return typeName(refName(schema.$ref));
+  }
+  if(schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if(schema.enum instanceof Array) {
+    return union(schema.enum.map(v => JSON.stringify(v)));
+  }
+
+  const parts = [];
+  let types = schema.type instanceof Array ? schema.type : schema.type !== undefined ? [schema.type] : [];
+  if(types.length === 0 && (schema.properties || schema.patternProperties || schema.additionalProperties !== undefined)) {
+    types = ['object'];
+  } else if(types.length === 0 && schema.items !== undefined) {
+    types = ['array'];
+  }
+  if(types.length) {
+    parts.push(union(types.map(t => {
+      switch(t) {
+        case 'string':
+          return 'string';
+        case 'integer':
+        case 'number':
+          return 'number';
+        case 'boolean':
+          return 'boolean';
+        case 'null':
+          return 'null';
+        case 'array':
+          return arrayType(schema, indent);
+        case 'object':
+          return objectType(schema, indent);
+      }
+      return 'unknown';
+    })));
+  }
+  if(schema['x-nullable'] !== undefined) {
+    parts.push(union([toType(schema['x-nullable'], indent), 'null']));
+  }
+  if(schema.allOf instanceof Array) {
+    parts.push(...schema.allOf.map(s => operand(toType(s, indent))));
+  }
+  if(schema.anyOf instanceof Array) {
+    parts.push(union(schema.anyOf.map(s => toType(s, indent))));
+  }
+  if(schema.oneOf instanceof Array) {
+    parts.push(union(schema.oneOf.map(s => toType(s, indent))));
+  }
+  const known = parts.filter(p => p !== 'unknown');
+  if(known.length === 0) {
+    return 'unknown';
+  }
+  return known.length === 1 ? known[0] : known.map(operand).join(' & ');
+}
+
+/**
+ * @param schema {Object}
+ * @param indent {string}
+ * @returns {string}
+ */
+function arrayType(schema, indent) {
+  if(schema.items instanceof Array) {
+    return `[${schema.items.map(s => toType(s, indent)).join(', ')}]`;
+  }
+  return `Array<${toType(schema.items, indent)}>`;
+}
+
+/**
+ * @param schema {Object}
+ * @param indent {string}
+ * @returns {string}
+ */
+function objectType(schema, indent) {
+  const inner = `${indent}  `;
+  const properties = schema.properties || {};
+  const required = schema.required instanceof Array ? schema.required : [];
+  const lines = Object.getOwnPropertyNames(properties).map(k => {
+    const key = identifierPattern.test(k) ? k : JSON.stringify(k);
+    const optional = required.includes(k) ? '' : '?';
+    return `${docComment(properties[k], inner)}${inner}${key}${optional}: ${toType(properties[k], inner)};`;
+  });
+  const additional = [];
+  if(schema.patternProperties) {
+    Object.getOwnPropertyNames(schema.patternProperties).forEach(p => additional.push(toType(schema.patternProperties[p], inner)));
+  }
+  if(schema.additionalProperties === true || (schema.additionalProperties && typeof schema.additionalProperties === 'object')) {
+    additional.push(toType(schema.additionalProperties, inner));
+  }
+  if(additional.length) {
+    lines.push(`${inner}[key: string]: ${union(additional.concat(lines.length ? ['unknown'] : []))};`);
+  }
+  if(lines.length === 0) {
+    return schema.additionalProperties === false ? '{}' : 'Record<string, unknown>';
+  }
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Get the type of a streamed response, as returned by the endpoint function.
+ * Readable streams are async iterables, so they are included in the type.
+ * @param stream {{items:Object}|{events:Object.<string,Object>}} - The streamed media type of an endpoint.
+ * @param indent {string}
+ * @returns {string}
+ */
+function streamType(stream, indent) {
+  let item;
+  if(stream.events === undefined) {
+    item = toType(stream.items, indent);
+  } else {
+    item = union(Object.getOwnPropertyNames(stream.events).map(name => toType({
+      type: 'object',
+      required: name === 'message' ? ['data'] : ['event', 'data'],
+      properties: {
+        event: {const: name},
+        data: stream.events[name],
+        id: {type: 'string'},
+        retry: {type: 'number'},
+      },
+    }, indent)));
+  }
+  return `AsyncIterable<${item}> | Array<${item}>`;
+}
+
+/**
+ * Generate a declaration for a named type.
+ * Object types are declared as interfaces, all other types are declared as type aliases.
+ * @param name {string}
+ * @param schema {Object}
+ * @returns {string}
+ */
+function declaration(name, schema) {
+  const type = toType(schema, '');
+  if(type.startsWith('{') && type.endsWith('}')) {
+    return `${docComment(schema, '')}export interface ${name} ${type}\n`;
+  }
+  return `${docComment(schema, '')}export type ${name} = ${type};\n`;
+}
+
+/**
+ * Generate TypeScript declarations (.d.ts content) for a specification.
+ * An interface or type is declared for every component schema.
+ * For every endpoint, {OperationId}Data describes the data supplied to the endpoint function,
+ * {OperationId}Responses maps status codes to response bodies, and {OperationId}Response is the union of all response bodies.
+ * Streamed responses are typed as the iterables of items or server-sent events which the endpoint function returns.
+ * @param spec {oas.OpenAPI}
+ * @returns {string}
+ */
+function generateTypes(spec) {
+  const out = ['// Generated from the Open API specification. Do not edit.\n'];
+
+  Object.getOwnPropertyNames(spec._jsonschemas).sort().forEach(n => {
+    out.push(declaration(typeName(n), spec._jsonschemas[n]));
+  });
+
+  Object.getOwnPropertyNames(spec.endpoints).sort().forEach(id => {
+    const endpoint = spec.endpoints[id];
+    const name = typeName(endpoint.doc.operationId);
+    const dataSchema = endpoint._dataSchema;
+    if(dataSchema.properties === undefined) {
+      return;
+    }
+    const bodies = Object.keys(endpoint._bodyContent).map(t => endpoint._bodyContent[t]);
+    const properties = Object.assign({}, dataSchema.properties);
+    if(bodies.length) {
+      properties.body = bodies.length === 1 ? bodies[0] || {} : {anyOf: bodies.map(b => b || {})};
+    }
+    out.push(declaration(`${name}Data`, {
+      description: `Data supplied to the function of ${endpoint.doc.operationId}`,
+      type: 'object',
+      required: dataSchema.required,
+      properties,
+    }));
+
+    const codes = Object.getOwnPropertyNames(endpoint.doc.responses);
+    const responses = codes.map(code => {
+      const content = endpoint._responseContent[code];
+      const doc = utils.resolveRef(spec.doc, endpoint.doc.responses[code]);
+      if(content === undefined) {
+        return `${docComment(doc, '  ')}  ${JSON.stringify(code)}: void;`;
+      }
+      const streams = endpoint._streams[code] || {};
+      const types = Object.keys(content).map(t => streams[t] !== undefined ? streamType(streams[t], '  ') : toType(content[t], '  '));
+      return `${docComment(doc, '  ')}  ${JSON.stringify(code)}: ${union(types)};`;
+    });
+    out.push(`/** Response bodies of ${endpoint.doc.operationId}, mapped from status codes */\n`
+      + `export interface ${name}Responses {\n${responses.join('\n')}${responses.length ? '\n' : ''}}\n`);
+    out.push(`export type ${name}Response = ${codes.length ? `${name}Responses[keyof ${name}Responses]` : 'void'};\n`);
+  });
+
+  return out.join('\n');
+}
+
+module.exports = {
+  generateTypes,
+  toType,
+};
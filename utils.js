@@ -5,7 +5,7 @@
 class Data {
   /**
    * Data to be supplied to an endpoint function for processing.
-   * Contains query, path, and header parameters, along with an 'extra' object for attaching information via middleware
+   * Contains query, path, header, and cookie parameters, along with an 'extra' object for attaching information via middleware
    * @param req {e.Request}
    * @param res {e.Response}
    * @param endpoint {oas.Endpoint}
@@ -23,10 +23,27 @@ class Data {
     this.params = {};
     /** @type {Object.<string,*>} */
     this.headers = {};
+    /** @type {Object.<string,*>} */
+    this.cookies = {};
     /** @type {*} */
     this.body = undefined;
+    /**
+     * The declared request body media type which matched the Content-Type of the request.
+     * @type {string|undefined}
+     */
+    this.contentType = undefined;
     /** @type {oas.Response} */
     this.response = new Response(200)
+    /**
+     * The principals returned by the security handlers of the satisfied security requirement, mapped from scheme names.
+     * @type {Object.<string,*>}
+     */
+    this.security = {};
+    /**
+     * The principal returned by the first security handler of the satisfied security requirement.
+     * @type {*}
+     */
+    this.principal = undefined;
   }
 
   asInstance() {
@@ -34,9 +51,71 @@ class Data {
       query: this.query,
       params: this.params,
       headers: this.headers,
+      cookies: this.cookies,
       body: this.body,
     });
   }
+
+  /**
+   * Get the page requested from a paginated endpoint, using the default limit and offset when they are not given.
+   * @returns {{limit:number,offset:number}|{limit:number,cursor:(string|undefined)}}
+   */
+  pageRequest() {
+    const pagination = this.endpoint._pagination;
+    if(pagination === null) {
+      throw new Error(`${this.endpoint.doc.operationId} is not paginated`);
+    }
+    const limit = this.query.limit !== undefined ? this.query.limit : pagination.defaultLimit;
+    return pagination.style === 'offset'
+      ? {limit, offset: this.query.offset !== undefined ? this.query.offset : 0}
+      : {limit, cursor: this.query.cursor};
+  }
+
+  /**
+   * Create the response for a page of items from a paginated endpoint.
+   * The items are wrapped in the envelope of the endpoint, and the Link and X-Total-Count headers are set.
+   * For offset pagination, the next and previous offsets are worked out from the requested page when they are not given.
+   * The next offset is given when the total shows more items, or when the total is unknown and the page is full.
+   * @param items {Array}
+   * @param options {Object?}
+   * @param options.next {string|number?} - The cursor or offset of the next page. No next page is linked when it is null.
+   * @param options.prev {string|number?} - The cursor or offset of the previous page. No previous page is linked when it is null.
+   * @param options.total {number?} - The total number of items in every page.
+   * @returns {oas.Response}
+   */
+  page(items, options = {}) {
+    const pagination = this.endpoint._pagination;
+    const request = this.pageRequest();
+    let next = options.next;
+    let prev = options.prev;
+    if(pagination.style === 'offset') {
+      if(next === undefined && (options.total !== undefined
+        ? request.offset + items.length < options.total
+        : items.length >= request.limit)) {
+        next = request.offset + request.limit;
+      }
+      if(prev === undefined && request.offset > 0) {
+        prev = Math.max(0, request.offset - request.limit);
+      }
+    }
+    const body = {items};
+    const headers = {};
+    const links = [];
+    const url = new URL(this.req.originalUrl || this.req.url, 'http://localhost');
+    [['next', next], ['prev', prev]].filter(([, value]) => value !== undefined && value !== null).forEach(([rel, value]) => {
+      body[rel] = value;
+      url.searchParams.set(pagination.style === 'offset' ? 'offset' : 'cursor', String(value));
+      links.push(`<${url.pathname}${url.search}>; rel="${rel}"`);
+    });
+    if(links.length) {
+      headers['Link'] = links.join(', ');
+    }
+    if(options.total !== undefined) {
+      body.total = options.total;
+      headers['X-Total-Count'] = String(options.total);
+    }
+    return new Response(pagination.status, body, {headers});
+  }
 }
 
 /**
@@ -75,14 +154,17 @@ class JSONValidationError extends Error {
    * @param loc {string} - The location of the json object which failed.
    * @param instance {*} - The value which failed validation.
    * @param errors {string[]} - The invalid jsonschema result returned by the validation.
+   * @param details {oas.ValidationErrorDetail[]?} - The structure of each error. Defaults to only the messages.
    */
-  constructor(endpoint, loc, instance, errors) {
+  constructor(endpoint, loc, instance, errors, details = undefined) {
     super();
     this.name = 'JSONValidationError';
     this.message = `${loc} json validation failed`;
     this.endpointOperationId = endpoint.doc.operationId;
     this.in = loc;
     this.errors = errors;
+    /** @type {oas.ValidationErrorDetail[]} */
+    this.details = details || errors.map(message => ({pointer: '', message}));
     this.instance = instance;
   }
 
@@ -91,23 +173,583 @@ class JSONValidationError extends Error {
    * @param endpoint {oas.Endpoint} - The endpoint which is being validated
    * @param loc {string} - Is the result from validating the 'request' or the 'response'?
    * @param result {ValidatorResult} - The invalid jsonschema result returned by the validation
+   * @param location {string?} - The part of the request or response which was validated, such as body.
+   *   By default, the first segment of each error path is the location, as with the data of a request.
    * @constructor
    */
-  static FromValidatorResult(endpoint, loc, result) {
-    return new JSONValidationError(endpoint, loc, result.instance, result.errors.map(e => e.toString()));
+  static FromValidatorResult(endpoint, loc, result, location = undefined) {
+    const details = result.errors.map(e => {
+      const path = e.path.slice();
+      if(e.name === 'required') {
+        path.push(e.argument);
+      }
+      const detailLocation = location !== undefined ? location : path.shift();
+      return {
+        pointer: toJsonPointer(path),
+        location: detailLocation !== undefined ? String(detailLocation) : undefined,
+        keyword: e.name,
+        expected: e.argument,
+        message: e.message,
+      };
+    });
+    return new JSONValidationError(endpoint, loc, result.instance, result.errors.map(e => e.toString()), details);
   }
 
   /**
    * @param endpoint {oas.Endpoint} - The endpoint which is being validated
    * @param param {{type:string,doc:{in:string,name:string}}} - The parameter in which an error occurred
    * @param value {string} - The value given for the parameter
+   * @param loc {string?} - Is the parameter from the 'request' or the 'response'?
+   * @param types {string[]?} - The types from the schema which the value could not be converted to.
+   * @param path {(string|number)[]?} - The location of the value inside of an array or object parameter.
    * @returns {oas.JSONValidationError}
    * @constructor
    */
-  static FromParameterType(endpoint, param, value) {
-    return new JSONValidationError(endpoint, 'request', {[param.doc.in]: {[param.doc.name]: value}},
-      [`instance.${param.doc.in}.${param.doc.name} could not be converted to type ${param.type}`]);
+  static FromParameterType(endpoint, param, value, loc = 'request', types = undefined, path = []) {
+    const location = dataLocations[param.doc.in];
+    const expected = types || [param.type];
+    const property = [`instance.${location}.${param.doc.name}`].concat(path.map(p => `[${JSON.stringify(p)}]`)).join('');
+    return new JSONValidationError(endpoint, loc, {[location]: {[param.doc.name]: value}},
+      [`${property} could not be converted to type ${expected.join(' or ')}`],
+      [{
+        pointer: toJsonPointer([param.doc.name].concat(path)),
+        location,
+        keyword: 'type',
+        expected,
+        message: `could not be converted to type ${expected.join(' or ')}`,
+      }]);
+  }
+}
+
+/**
+ * Where a validation error occurred.
+ * @typedef {Object} oas.ValidationErrorDetail
+ * @property {string} pointer - A JSON pointer to the invalid value, relative to the location.
+ *   For missing required properties, the pointer is to the missing property.
+ * @property {string?} location - One of {query, params, headers, cookies, body}.
+ * @property {string?} keyword - The schema keyword which failed, such as type or required.
+ * @property {*} expected - The value of the schema keyword which failed.
+ * @property {string} message
+ */
+
+/**
+ * The keys of the data object which hold each parameter location.
+ * @type {Object.<string,string>}
+ */
+const dataLocations = {
+  query: 'query',
+  path: 'params',
+  header: 'headers',
+  cookie: 'cookies',
+};
+
+/**
+ * Create a JSON pointer from the segments of a path.
+ * @param path {(string|number)[]}
+ * @returns {string}
+ */
+function toJsonPointer(path) {
+  return path.map(p => `/${String(p).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * See {@link oas.SecurityError.constructor}
+ * @memberOf oas
+ */
+class SecurityError extends Error {
+  /**
+   * An error which occurs when the security requirements of an endpoint are not satisfied.
+   * Security handlers may throw this error with a status of 403 to deny access to an authenticated caller.
+   * @param endpoint {oas.Endpoint} - The endpoint which received the error.
+   * @param status {int} - 401 when the caller is not authenticated, 403 when the caller is not authorized.
+   * @param message {string?}
+   */
+  constructor(endpoint, status, message = undefined) {
+    super();
+    this.name = 'SecurityError';
+    this.message = message || (status === 403 ? 'forbidden' : 'unauthorized');
+    this.endpointOperationId = endpoint.doc.operationId;
+    this.status = status;
+  }
+}
+
+/**
+ * See {@link oas.UnsupportedMediaTypeError.constructor}
+ * @memberOf oas
+ */
+class UnsupportedMediaTypeError extends Error {
+  /**
+   * An error which occurs when the request body was sent with a media type that the endpoint does not accept.
+   * @param endpoint {oas.Endpoint} - The endpoint which received the error.
+   * @param mediaType {string} - The media type which was received.
+   * @param supported {string[]} - The media types which are accepted by the endpoint.
+   * @param part {string?} - The name of the multipart field which was received with the media type.
+   */
+  constructor(endpoint, mediaType, supported, part = undefined) {
+    super();
+    this.name = 'UnsupportedMediaTypeError';
+    this.message = `unsupported media type: ${mediaType}${part !== undefined ? ` for part ${part}` : ''}`
+      + ` (expected one of {${supported.join(', ')}})`;
+    this.endpointOperationId = endpoint.doc.operationId;
+    this.status = 415;
+    this.mediaType = mediaType;
+    this.supported = supported;
+    this.part = part;
+  }
+}
+
+/**
+ * Parse the value of a Cookie header into a mapping of cookie names to their values.
+ * @param header {string|undefined}
+ * @returns {Object.<string,string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if(!header) {
+    return cookies;
+  }
+  header.split(';').forEach(pair => {
+    const i = pair.indexOf('=');
+    if(i < 0) {
+      return;
+    }
+    const name = pair.slice(0, i).trim();
+    let value = pair.slice(i + 1).trim();
+    if(value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, value.length - 1);
+    }
+    if(name && cookies[name] === undefined) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch(error) {
+        cookies[name] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+/**
+ * The serialization styles which are allowed for parameters in each location.
+ * The first style for each location is the default.
+ * @type {Object.<string,string[]>}
+ */
+const parameterStyles = {
+  query: ['form', 'spaceDelimited', 'pipeDelimited', 'deepObject'],
+  path: ['simple', 'label', 'matrix'],
+  header: ['simple'],
+  cookie: ['form'],
+};
+
+/**
+ * The scalar types which received values may be coerced to, in the order they are attempted.
+ * @type {string[]}
+ */
+const coercionOrder = ['null', 'boolean', 'integer', 'number', 'string'];
+
+/**
+ * Get the types which a value of a schema may have.
+ * Types are taken from 'type', from the values of 'enum' and 'const', and from the schemas of 'oneOf', 'anyOf' and 'allOf',
+ * which includes nullable schemas. References to component schemas are followed when the spec is given.
+ * @param schema {Object|undefined} - A schema in jsonschema format.
+ * @param spec {oas.OpenAPI?}
+ * @param depth {number?}
+ * @returns {string[]}
+ */
+function schemaTypes(schema, spec = undefined, depth = 0) {
+  if(!schema || typeof schema !== 'object' || depth > 16) {
+    return [];
+  }
+  if(typeof schema.$ref === 'string') {
+    return spec !== undefined ? schemaTypes(spec._jsonschemas[schema.$ref.slice(1)], spec, depth + 1) : [];
   }
+  let types = [];
+  if(schema.type !== undefined) {
+    types = [].concat(schema.type);
+  } else if(schema.enum instanceof Array || schema.const !== undefined) {
+    types = (schema.enum || [schema.const]).map(v => v === null ? 'null'
+      : typeof v === 'number' ? (Number.isInteger(v) ? 'integer' : 'number')
+      : typeof v);
+  }
+  ['oneOf', 'anyOf', 'allOf'].forEach(k => (schema[k] || []).forEach(s => types = types.concat(schemaTypes(s, spec, depth + 1))));
+  return types.filter((t, i) => types.indexOf(t) === i);
+}
+
+/**
+ * Find the schema which declares a type, following references and searching 'oneOf', 'anyOf' and 'allOf'.
+ * @param schema {Object|undefined} - A schema in jsonschema format.
+ * @param type {string} - Either array or object.
+ * @param spec {oas.OpenAPI?}
+ * @param depth {number?}
+ * @returns {Object|undefined}
+ */
+function schemaOfType(schema, type, spec = undefined, depth = 0) {
+  if(!schema || typeof schema !== 'object' || depth > 16) {
+    return;
+  }
+  if(typeof schema.$ref === 'string') {
+    return spec !== undefined ? schemaOfType(spec._jsonschemas[schema.$ref.slice(1)], type, spec, depth + 1) : undefined;
+  }
+  if([].concat(schema.type).includes(type)) {
+    return schema;
+  }
+  let found;
+  ['oneOf', 'anyOf', 'allOf'].some(k => (schema[k] || []).some(s => found = schemaOfType(s, type, spec, depth + 1)));
+  return found;
+}
+
+/**
+ * Get the type to convert a received value to, based on the types of its schema.
+ * @param schema {Object|undefined} - A schema in jsonschema format.
+ * @param spec {oas.OpenAPI?}
+ * @returns {string} - One of {string, number, bool, array, object}
+ */
+function paramType(schema, spec = undefined) {
+  const types = schemaTypes(schema, spec);
+  if(types.includes('array')) {
+    return 'array';
+  } else if(types.includes('object')) {
+    return 'object';
+  } else if(types.includes('integer') || types.includes('number')) {
+    return 'number';
+  } else if(types.includes('boolean')) {
+    return 'bool';
+  }
+  return 'string';
+}
+
+/**
+ * Coerce a single string value into the first of the given types which it can represent.
+ * Values are left as strings when none of the types are scalar types.
+ * @param param {Object} - The parameter being converted, for reporting errors.
+ * @param types {string[]} - The types of the schema of the value.
+ * @param value {string}
+ * @param item {*} - The entire value of the parameter, for reporting errors.
+ * @param path {(string|number)[]} - The location of the value inside of the item, for reporting errors.
+ * @returns {null|boolean|number|string}
+ */
+function coerceScalar(param, types, value, item, path) {
+  const scalars = coercionOrder.filter(t => types.includes(t));
+  if(scalars.length === 0) {
+    return value;
+  }
+  for(const type of scalars) {
+    switch(type) {
+      case 'null':
+        if(value === 'null') {
+          return null;
+        }
+        break;
+      case 'boolean': {
+        const b = value.toLowerCase();
+        if(b === 'true' || b === 'false') {
+          return b === 'true';
+        }
+        break;
+      }
+      case 'integer':
+        if(/^\s*[-+]?\d+\s*$/.test(value)) {
+          return value * 1;
+        }
+        break;
+      case 'number': {
+        const n = value * 1;
+        if(value.trim() !== '' && !isNaN(n)) {
+          return n;
+        }
+        break;
+      }
+      case 'string':
+        return value;
+    }
+  }
+  throw {param, item, types: scalars, path};
+}
+
+/**
+ * Follow a reference to a component schema, as written in jsonschema format.
+ * @param schema {Object|undefined}
+ * @param spec {oas.OpenAPI?}
+ * @returns {Object|undefined}
+ */
+function resolveJsonschema(schema, spec) {
+  for(let depth = 0; schema && typeof schema.$ref === 'string' && depth < 16; depth++) {
+    schema = spec !== undefined ? spec._jsonschemas[schema.$ref.slice(1)] : undefined;
+  }
+  return schema;
+}
+
+/**
+ * Keywords whose values are subschemas, or arrays of subschemas, in jsonschema format.
+ * @type {string[]}
+ */
+const subschemaKeywords = ['items', 'additionalItems', 'additionalProperties', 'contains', 'propertyNames', 'if', 'then', 'else'];
+
+/**
+ * Keywords whose values map names to subschemas in jsonschema format.
+ * @type {string[]}
+ */
+const subschemaMapKeywords = ['properties', 'patternProperties', 'dependencies', 'definitions'];
+
+/**
+ * Keywords whose subschemas are named by their references in the error messages of the jsonschema Validator.
+ * @type {string[]}
+ */
+const namedSubschemaKeywords = ['allOf', 'anyOf', 'oneOf', 'not'];
+
+/**
+ * Check whether the values of a body of a media type may be binary, such as uploaded files or raw buffers.
+ * This is the case for multipart bodies, and for raw bodies which are not JSON, text or forms, such as application/octet-stream.
+ * @param mediaType {string|undefined}
+ * @returns {boolean}
+ */
+function binaryMediaType(mediaType) {
+  const essence = (mediaType || '').split(';')[0].trim().toLowerCase();
+  return essence !== '' && essence !== 'application/json' && !essence.endsWith('+json') && !essence.startsWith('text/')
+    && essence !== 'application/x-www-form-urlencoded';
+}
+
+/**
+ * Copy a schema in jsonschema format, accepting any value where the format is binary,
+ * since binary values arrive as buffers or uploaded file objects rather than strings.
+ * References to component schemas which have binary formats are replaced by copies of those schemas.
+ * @param schema {Object|boolean}
+ * @param spec {oas.OpenAPI}
+ * @param seen {string[]} - The names of the component schemas being copied, which are referenced as they are when recursive.
+ * @returns {Object|boolean}
+ */
+function acceptBinary(schema, spec, seen = []) {
+  if(schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+  if(schema instanceof Array) {
+    return schema.map(s => acceptBinary(s, spec, seen));
+  }
+  if(typeof schema.$ref === 'string') {
+    const name = schema.$ref.slice(1);
+    const component = schema.$ref.startsWith('/') ? spec._jsonschemas[name] : undefined;
+    if(component === undefined || seen.includes(name) || !JSON.stringify(component).includes('"binary"')) {
+      return schema;
+    }
+    return acceptBinary(component, spec, seen.concat(name));
+  }
+  const copy = {};
+  Object.getOwnPropertyNames(schema).forEach(k => copy[k] = acceptBinary(schema[k], spec, seen));
+  if(copy.format === 'binary') {
+    delete copy.type;
+    delete copy.format;
+  }
+  return copy;
+}
+
+/**
+ * Copy a schema in jsonschema format, replacing references to component schemas by the schemas they reference,
+ * so that the validator does not need to resolve them for every instance.
+ * References which are recursive, or which are the subschemas of allOf, anyOf, oneOf and not, are kept,
+ * so that the errors found are the same as those found with the original schema.
+ * Component schemas which are not recursive are resolved once, and shared between the schemas of the spec.
+ * @param schema {Object|boolean}
+ * @param spec {oas.OpenAPI}
+ * @returns {Object|boolean}
+ */
+function resolveRefs(schema, spec) {
+  const resolving = [];
+  let recursive = false;
+  const resolve = s => {
+    if(s === null || typeof s !== 'object') {
+      return s;
+    }
+    if(s instanceof Array) {
+      return s.map(resolve);
+    }
+    if(typeof s.$ref === 'string') {
+      const name = s.$ref.slice(1);
+      if(!s.$ref.startsWith('/') || spec._jsonschemas[name] === undefined) {
+        return s;
+      }
+      if(resolving.includes(name)) {
+        recursive = true;
+        return s;
+      }
+      if(spec._resolvedSchemas.has(name)) {
+        return spec._resolvedSchemas.get(name);
+      }
+      const outer = recursive;
+      recursive = false;
+      resolving.push(name);
+      const resolved = resolve(spec._jsonschemas[name]);
+      resolving.pop();
+      if(!recursive) {
+        spec._resolvedSchemas.set(name, resolved);
+      }
+      recursive = recursive || outer;
+      return resolved;
+    }
+    const copy = Object.assign({}, s);
+    subschemaKeywords.filter(k => s[k] !== undefined).forEach(k => copy[k] = resolve(s[k]));
+    subschemaMapKeywords.filter(k => s[k] !== null && typeof s[k] === 'object').forEach(k => {
+      copy[k] = {};
+      Object.getOwnPropertyNames(s[k]).forEach(n => copy[k][n] = resolve(s[k][n]));
+    });
+    namedSubschemaKeywords.filter(k => s[k] !== null && typeof s[k] === 'object').forEach(k => {
+      const keep = sub => sub !== null && typeof sub === 'object' && typeof sub.$ref === 'string' ? sub : resolve(sub);
+      copy[k] = s[k] instanceof Array ? s[k].map(keep) : keep(s[k]);
+    });
+    return copy;
+  };
+  return resolve(schema);
+}
+
+/**
+ * Find the schemas which apply to an object: the schema itself, the schemas of its allOf, and the one schema of
+ * its oneOf or anyOf which declares the type of the value.
+ * @param schema {Object|undefined}
+ * @param value {Object}
+ * @param spec {oas.OpenAPI?}
+ * @param depth {number}
+ * @returns {{schemas:Object[],ambiguous:boolean}}
+ */
+function applicableSchemas(schema, value, spec, depth = 0) {
+  schema = resolveJsonschema(schema, spec);
+  const found = {schemas: [], ambiguous: false};
+  if(!schema || typeof schema !== 'object' || depth > 16) {
+    return found;
+  }
+  found.schemas.push(schema);
+  const add = s => {
+    const inner = applicableSchemas(s, value, spec, depth + 1);
+    found.schemas = found.schemas.concat(inner.schemas);
+    found.ambiguous = found.ambiguous || inner.ambiguous;
+  };
+  (schema.allOf || []).forEach(add);
+  ['oneOf', 'anyOf'].filter(k => schema[k] instanceof Array).forEach(k => {
+    const type = value === null ? 'null' : value instanceof Array ? 'array' : typeof value;
+    const matching = schema[k].filter(s => {
+      const types = schemaTypes(s, spec);
+      return types.length === 0 || types.includes(type) || (type === 'number' && types.includes('integer'));
+    });
+    if(matching.length === 1) {
+      add(matching[0]);
+    } else if(matching.length > 1) {
+      found.ambiguous = true;
+    }
+  });
+  return found;
+}
+
+/**
+ * Fill in defaults from a schema and remove properties which are not declared by it, modifying the value in place.
+ * Properties are only removed from objects whose schemas set additionalProperties to false, and none of which allow additional properties.
+ * @param value {*}
+ * @param schema {Object|undefined} - A schema in jsonschema format.
+ * @param spec {oas.OpenAPI?} - Used to follow references to component schemas.
+ * @param options {{useDefaults:boolean?,removeAdditional:boolean?}}
+ * @param depth {number?}
+ */
+function applySchemaTransforms(value, schema, spec, options, depth = 0) {
+  if(value === null || typeof value !== 'object' || depth > 64 || Buffer.isBuffer(value)) {
+    return;
+  }
+  const {schemas, ambiguous} = applicableSchemas(schema, value, spec);
+  if(value instanceof Array) {
+    schemas.filter(s => s.items !== undefined).forEach(s => value.forEach((item, i) =>
+      applySchemaTransforms(item, s.items instanceof Array ? s.items[i] : s.items, spec, options, depth + 1)));
+    return;
+  }
+
+  if(options.useDefaults) {
+    schemas.forEach(s => Object.getOwnPropertyNames(s.properties || {}).forEach(k => {
+      const property = resolveJsonschema(s.properties[k], spec);
+      if(value[k] === undefined && property && property.default !== undefined) {
+        value[k] = JSON.parse(JSON.stringify(property.default));
+      }
+    }));
+  }
+
+  const open = ambiguous
+    || !schemas.some(s => s.additionalProperties === false)
+    || schemas.some(s => s.additionalProperties !== undefined && s.additionalProperties !== false);
+  Object.getOwnPropertyNames(value).forEach(k => {
+    const matches = [];
+    schemas.forEach(s => {
+      if(s.properties && s.properties[k] !== undefined) {
+        matches.push(s.properties[k]);
+      }
+      Object.getOwnPropertyNames(s.patternProperties || {}).filter(p => new RegExp(p).test(k))
+        .forEach(p => matches.push(s.patternProperties[p]));
+    });
+    if(matches.length === 0) {
+      if(options.removeAdditional && !open) {
+        delete value[k];
+        return;
+      }
+      schemas.filter(s => typeof s.additionalProperties === 'object').forEach(s => matches.push(s.additionalProperties));
+    }
+    matches.forEach(m => applySchemaTransforms(value[k], m, spec, options, depth + 1));
+  });
+}
+
+/**
+ * Lifecycle hooks of endpoints. Each hook is a function or an array of functions, which may be async.
+ * Hooks run in order: those of the spec, then those of each tag of the endpoint, then those of the endpoint.
+ * An error thrown by a hook is passed to next(), like an error thrown by the endpoint function.
+ * @typedef {Object} oas.Hooks
+ * @property {function(data:oas.Data)|function(data:oas.Data)[]?} onRequest - Runs after the data object is attached,
+ *   before security and validation.
+ * @property {function(data:oas.Data)|function(data:oas.Data)[]?} beforeHandler - Runs after the request is validated.
+ * @property {function(data:oas.Data)|function(data:oas.Data)[]?} afterHandler - Runs after the endpoint function returns,
+ *   before the response is sent. data.response holds the response, which may still be changed.
+ * @property {function(data:oas.Data)|function(data:oas.Data)[]?} onResponse - Runs once the response is sent,
+ *   whether or not an error occurred.
+ * @property {function(error:Error,data:oas.Data)|function(error:Error,data:oas.Data)[]?} onError - Runs when an error
+ *   is passed to next(), before the error handler.
+ */
+
+/**
+ * The names of the lifecycle hooks of an endpoint, in the order in which they run.
+ * @type {string[]}
+ */
+const hookNames = ['onRequest', 'beforeHandler', 'afterHandler', 'onResponse', 'onError'];
+
+/**
+ * Append lifecycle hooks to a mapping of hook names to lists of hooks.
+ * @param target {Object.<string,function[]>}
+ * @param hooks {oas.Hooks}
+ */
+function addHooks(target, hooks) {
+  Object.getOwnPropertyNames(hooks).forEach(name => {
+    if(!hookNames.includes(name)) {
+      throw new Error(`unknown lifecycle hook: ${name} (must be one of ${hookNames.join(', ')})`);
+    }
+    const added = [].concat(hooks[name]);
+    if(added.some(h => typeof h !== 'function')) {
+      throw new Error(`lifecycle hook ${name} must be a function or an array of functions`);
+    }
+    target[name] = (target[name] || []).concat(added);
+  });
+}
+
+/**
+ * The policies for validating responses, as set by spec.setResponseValidation() and endpoint.responseValidation().
+ * @type {string[]}
+ */
+const responseValidationPolicies = ['enforce', 'report', 'sampled', 'off'];
+
+/**
+ * Check a response validation policy and its options.
+ * @param policy {string}
+ * @param options {{sampleRate:number?,onViolation:function?}}
+ * @returns {{policy:string,sampleRate:number,onViolation:(function|undefined)}}
+ */
+function responseValidationSettings(policy, options) {
+  if(!responseValidationPolicies.includes(policy)) {
+    throw new Error(`unknown response validation policy: ${policy} (must be one of {${responseValidationPolicies.join(',')}})`);
+  }
+  const sampleRate = options.sampleRate !== undefined ? options.sampleRate : policy === 'sampled' ? 0.1 : 1;
+  if(typeof sampleRate !== 'number' || sampleRate < 0 || sampleRate > 1) {
+    throw new Error(`response validation sampleRate must be a number from 0 to 1: ${sampleRate}`);
+  }
+  return {policy, sampleRate, onViolation: options.onViolation};
 }
 
 /**
@@ -130,8 +772,94 @@ function forAllRecursiveKeys(o, func) {
   }
 }
 
+/**
+ * Rewrite a schema, in place, as JSON Schema 2020-12 for Open API 3.1.
+ * @param s {Object}
+ */
+function toJsonSchema2020(s) {
+  if(typeof s !== 'object' || s === null || s instanceof Array) {
+    return;
+  }
+  ['properties', 'patternProperties', 'definitions', '$defs', 'dependencies', 'dependentSchemas'].forEach(k => {
+    if(typeof s[k] === 'object' && s[k] !== null) {
+      Object.getOwnPropertyNames(s[k]).forEach(n => toJsonSchema2020(s[k][n]));
+    }
+  });
+  ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items'].forEach(k => {
+    if(s[k] instanceof Array) {
+      s[k].forEach(toJsonSchema2020);
+    }
+  });
+  ['items', 'additionalItems', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains', 'propertyNames', 'x-nullable']
+    .forEach(k => toJsonSchema2020(s[k]));
+
+  delete s['x-validator'];
+  if(s.items instanceof Array) {
+    s.prefixItems = s.items;
+    delete s.items;
+    if(s.additionalItems !== undefined) {
+      s.items = s.additionalItems;
+    }
+  }
+  delete s.additionalItems;
+  if(s.example !== undefined) {
+    s.examples = [s.example].concat(s.examples || []);
+    delete s.example;
+  }
+  if(s.dependencies !== undefined) {
+    Object.getOwnPropertyNames(s.dependencies).forEach(n => {
+      const dependency = s.dependencies[n];
+      const key = dependency instanceof Array ? 'dependentRequired' : 'dependentSchemas';
+      s[key] = Object.assign(s[key] || {}, {[n]: dependency});
+    });
+    delete s.dependencies;
+  }
+  ['Minimum', 'Maximum'].forEach(m => {
+    const exclusive = `exclusive${m}`;
+    const bound = m.toLowerCase();
+    if(s[exclusive] === true && s[bound] !== undefined) {
+      s[exclusive] = s[bound];
+      delete s[bound];
+    } else if(typeof s[exclusive] === 'boolean') {
+      delete s[exclusive];
+    }
+  });
+  if(typeof s.nullable === 'boolean') {
+    // the nullable keyword of Open API 3.0 applies to the type of the same schema
+    if(s.nullable && typeof s.type === 'string' && s['x-nullable'] === undefined) {
+      s.type = [s.type, 'null'];
+      if(s.enum instanceof Array && !s.enum.includes(null)) {
+        s.enum = s.enum.concat(null);
+      }
+    }
+    delete s.nullable;
+  }
+  if(s['x-nullable'] !== undefined) {
+    const inner = s['x-nullable'];
+    delete s['x-nullable'];
+    const combined = ['$ref', 'allOf', 'anyOf', 'oneOf', 'not'].some(k => inner[k] !== undefined);
+    if(typeof inner.type === 'string' && !combined) {
+      Object.assign(s, inner, {
+        description: s.description !== undefined ? s.description : inner.description,
+        type: [inner.type, 'null'],
+      });
+      if(s.description === undefined) {
+        delete s.description;
+      }
+      if(s.enum instanceof Array && !s.enum.includes(null)) {
+        s.enum = s.enum.concat(null);
+      }
+    } else if(s.anyOf === undefined) {
+      s.anyOf = [inner, {type: 'null'}];
+    } else {
+      s.allOf = (s.allOf || []).concat({anyOf: [inner, {type: 'null'}]});
+    }
+  }
+}
+
 /**
  * Transform all $ref objects in a schema into reference strings using replaceFunc.
+ * Built-in component schemas, such as ProblemDetails, are added to the spec when they are referenced.
  * Retain all functions which are present in the input.
  * @this {oas.OpenAPI}
  * @param schema {Object}
@@ -150,6 +878,7 @@ function schemaRefReplace(schema, replaceFunc) {
         return replaceFunc(v.slice(1, v.length - 1))
       }
       if(typeof value === 'string' && value.startsWith('{') && value.endsWith('}')) {
+        this._addBuiltinSchema(value.slice(1, value.length - 1))
         return replaceFunc(value.slice(1, value.length - 1))
       }
     }
@@ -173,6 +902,9 @@ module.exports = {
   Data,
   Response,
   JSONValidationError,
+  SecurityError,
+  UnsupportedMediaTypeError,
+  parseCookies,
 
   /**
    * Convert a path to an express-compatible path.
@@ -202,42 +934,426 @@ module.exports = {
   },
 
   /**
-   * Convert a string item into the given type. Empty strings return as undefined.
-   * @param param {{type:string}}
-   * @param item {string}
-   * @returns {number|boolean|string|undefined}
+   * Convert a string item into the types of the schema of the parameter. Empty strings return as undefined.
+   * Arrays and objects, as returned by deserializeParam, have their values converted by the item and property types.
+   * When the item cannot be converted, {param, item, types, path} is thrown, with the types which were expected
+   * and the path to the value inside of the item.
+   * @param param {{type:string,scalarTypes:string[]?,itemTypes:string[]?,propertyTypes:Object.<string,string[]>?}}
+   * @param item {string|string[]|Object.<string,string>}
+   * @returns {null|number|boolean|string|Array|Object|undefined}
    */
   convertParamType: (param, item) => {
     if(!item) {
       return;
     }
     switch(param.type) {
-      case 'number':
-        const n = item * 1;
-        if(isNaN(n)) {
-          throw {param, item};
+      case 'array':
+        if(!(item instanceof Array)) {
+          throw {param, item, types: ['array'], path: []};
         }
-        return n;
-      case 'bool':
-        const b = item.toLowerCase();
-        if(b !== 'true' && b !== 'false') {
-          throw {param, item}
+        return item.map((i, n) => coerceScalar(param, param.itemTypes, i, item, [n]));
+      case 'object': {
+        if(typeof item !== 'object' || item instanceof Array) {
+          throw {param, item, types: ['object'], path: []};
         }
-        return b === 'true';
-      case 'string':
-        return item;
+        const o = {};
+        Object.getOwnPropertyNames(item).forEach(k => {
+          o[k] = coerceScalar(param, param.propertyTypes[k] || [], item[k], item, [k]);
+        });
+        return o;
+      }
+    }
+    return coerceScalar(param, param.scalarTypes, item, item, []);
+  },
+
+  parameterStyles,
+
+  schemaTypes,
+
+  paramType,
+
+  applySchemaTransforms,
+
+  resolveRefs,
+
+  hookNames,
+
+  responseValidationSettings,
+
+  addHooks,
+
+  /**
+   * Set the types used to convert the value of a parameter, the items of an array parameter,
+   * or the properties of an object parameter, from its schema.
+   * Where the schema does not declare any types, the type of the parameter is used.
+   * @param param {{type:string,jsonschema:Object}}
+   * @param spec {oas.OpenAPI?} - Used to follow references to component schemas.
+   */
+  setConversionTypes: (param, spec = undefined) => {
+    if(param.type === 'array') {
+      const schema = schemaOfType(param.jsonschema, 'array', spec) || param.jsonschema;
+      param.itemTypes = schemaTypes(schema.items, spec);
+    } else if(param.type === 'object') {
+      const schema = schemaOfType(param.jsonschema, 'object', spec) || param.jsonschema;
+      const properties = schema.properties || {};
+      param.propertyTypes = {};
+      Object.getOwnPropertyNames(properties).forEach(k => param.propertyTypes[k] = schemaTypes(properties[k], spec));
+    } else {
+      param.scalarTypes = schemaTypes(param.jsonschema, spec);
+      if(!param.scalarTypes.some(t => coercionOrder.includes(t))) {
+        param.scalarTypes = [{number: 'number', bool: 'boolean'}[param.type] || 'string'];
+      }
+    }
+  },
+
+  /**
+   * Create a parameter whose received values are converted to the types of its schema and validated against it,
+   * as added by endpoint.parameter() and spec.parameterComponent(). See endpoint.parameter() for the arguments.
+   * @param loc {string} - One of {query, path, header, cookie}
+   * @param name {string}
+   * @param description {string}
+   * @param required {boolean}
+   * @param schema {Object} - A valid jsonschema object.
+   * @param type {string|undefined} - One of {string, number, bool, array, object}. Inferred from the schema when undefined.
+   * @param serialization {{style:string?,explode:boolean?}}
+   * @param spec {oas.OpenAPI}
+   * @param owner {string} - Names the operation or component of the parameter in errors.
+   * @returns {{doc:Object,type:string,jsonschema:Object}}
+   */
+  typedParameter: (loc, name, description, required, schema, type, serialization, spec, owner) => {
+    if(parameterStyles[loc] === undefined) {
+      throw new Error(`value for 'loc' should be one of {query, path, header, cookie} for parameter ${name} in ${owner}`);
+    }
+    const jsonschema = module.exports.toJsonschema(schema, spec);
+    if(type === undefined) {
+      type = paramType(jsonschema, spec);
+    }
+    if(!['string', 'number', 'bool', 'array', 'object'].includes(type)) {
+      throw new Error(`invalid type for parameter ${name} in ${loc} of ${owner} (must be one of {string,number,bool,array,object})`);
+    }
+    const styles = parameterStyles[loc];
+    const style = serialization.style || styles[0];
+    const explode = serialization.explode !== undefined ? serialization.explode : (style === 'form' || style === 'deepObject');
+    if(!styles.includes(style)) {
+      throw new Error(`invalid style for parameter ${name} in ${loc} of ${owner} (must be one of {${styles.join(',')}})`);
+    }
+    if(style === 'deepObject' && (type !== 'object' || !explode)) {
+      throw new Error(`deepObject style for parameter ${name} of ${owner} requires type 'object' with explode`);
+    }
+    if((style === 'spaceDelimited' || style === 'pipeDelimited') && type !== 'array') {
+      throw new Error(`${style} style for parameter ${name} of ${owner} requires type 'array'`);
+    }
+    const typedDoc = {
+      doc: {
+        name,
+        description,
+        in: loc,
+        required,
+        schema: module.exports.toOasSchema(schema, spec)
+      },
+      type,
+      jsonschema
+    };
+    if(type === 'array' || type === 'object' || serialization.style !== undefined || serialization.explode !== undefined) {
+      typedDoc.doc.style = style;
+      typedDoc.doc.explode = explode;
+    }
+    module.exports.setConversionTypes(typedDoc, spec);
+    return typedDoc;
+  },
+
+  /**
+   * Create a response header whose recorded values are converted to the type of its schema before being validated,
+   * as added by endpoint.responseHeader() and spec.headerComponent().
+   * @param name {string}
+   * @param schema {Object} - A valid jsonschema object.
+   * @param spec {oas.OpenAPI}
+   * @returns {{doc:Object,type:string,jsonschema:Object}}
+   */
+  typedHeader: (name, schema, spec) => {
+    const jsonschema = module.exports.toJsonschema(schema, spec);
+    const typedHeader = {
+      doc: {name, in: 'header', style: 'simple', explode: false},
+      type: paramType(jsonschema, spec),
+      jsonschema
+    };
+    module.exports.setConversionTypes(typedHeader, spec);
+    return typedHeader;
+  },
+
+  /**
+   * Deserialize a raw parameter value into a string, an array of strings, or an object of strings,
+   * according to the style and explode settings of the parameter.
+   * @param param {{type:string,doc:{name:string,in:string,style:string,explode:boolean},jsonschema:Object}}
+   * @param raw {string|URLSearchParams|undefined} - The raw value of the parameter. Query parameters supply the entire query string.
+   * @returns {string|string[]|Object.<string,string>|undefined}
+   */
+  deserializeParam: (param, raw) => {
+    const {name, style, explode} = param.doc;
+    if(raw instanceof URLSearchParams) {
+      const query = raw;
+      if(style === 'deepObject') {
+        const o = {};
+        query.forEach((v, k) => {
+          if(k.startsWith(`${name}[`) && k.endsWith(']')) {
+            o[k.slice(name.length + 1, k.length - 1)] = v;
+          }
+        });
+        return Object.getOwnPropertyNames(o).length ? o : undefined;
+      }
+      if(explode && param.type === 'array') {
+        const values = query.getAll(name);
+        return values.length ? values : undefined;
+      }
+      if(explode && param.type === 'object') {
+        const o = {};
+        Object.getOwnPropertyNames(param.propertyTypes).forEach(k => {
+          if(query.has(k)) {
+            o[k] = query.get(k);
+          }
+        });
+        return Object.getOwnPropertyNames(o).length ? o : undefined;
+      }
+      raw = query.has(name) ? query.get(name) : undefined;
+    }
+    if(raw === undefined || raw === null) {
+      return;
+    }
+    raw = String(raw);
+
+    let separator = ',';
+    switch(style) {
+      case 'spaceDelimited':
+        separator = ' ';
+        break;
+      case 'pipeDelimited':
+        separator = '|';
+        break;
+      case 'label':
+        if(!raw.startsWith('.')) {
+          throw {param, item: raw};
+        }
+        raw = raw.slice(1);
+        separator = explode ? '.' : ',';
+        break;
+      case 'matrix':
+        if(!raw.startsWith(';')) {
+          throw {param, item: raw};
+        }
+        raw = raw.slice(1);
+        if(explode && (param.type === 'array' || param.type === 'object')) {
+          separator = ';';
+          if(param.type === 'array') {
+            return raw.split(';').map(p => {
+              if(!p.startsWith(`${name}=`)) {
+                throw {param, item: raw};
+              }
+              return p.slice(name.length + 1);
+            });
+          }
+          break;
+        }
+        if(raw !== name && !raw.startsWith(`${name}=`)) {
+          throw {param, item: raw};
+        }
+        raw = raw.slice(name.length + 1);
+        break;
+    }
+
+    switch(param.type) {
+      case 'array':
+        return raw === '' ? [] : raw.split(separator);
+      case 'object': {
+        const o = {};
+        const parts = raw === '' ? [] : raw.split(separator);
+        if(explode) {
+          parts.forEach(p => {
+            const i = p.indexOf('=');
+            if(i < 0) {
+              throw {param, item: raw};
+            }
+            o[p.slice(0, i)] = p.slice(i + 1);
+          });
+        } else {
+          if(parts.length % 2 !== 0) {
+            throw {param, item: raw};
+          }
+          for(let i = 0; i < parts.length; i += 2) {
+            o[parts[i]] = parts[i + 1];
+          }
+        }
+        return o;
+      }
     }
-    throw {param, item};
+    return raw;
   },
 
   /**
-   * Modify 'schema' to be compliant with Open API
+   * Serialize a parameter value according to the style and explode settings of the parameter.
+   * This is the inverse of deserializeParam. Path and cookie values are percent-encoded.
+   * @param param {{doc:{name:string,in:string,style:string?,explode:boolean?}}}
+   * @param value {*}
+   * @returns {string|Array<[string,string]>} - Query parameters return a list of name and value pairs, all others return a string.
+   */
+  serializeParam: (param, value) => {
+    const {name} = param.doc;
+    const style = param.doc.style || parameterStyles[param.doc.in][0];
+    const explode = param.doc.explode !== undefined ? param.doc.explode : (style === 'form' || style === 'deepObject');
+    const query = param.doc.in === 'query';
+    const encode = v => param.doc.in === 'path' || param.doc.in === 'cookie' ? encodeURIComponent(String(v)) : String(v);
+    const isObject = typeof value === 'object' && value !== null && !(value instanceof Array);
+    const entries = isObject ? Object.getOwnPropertyNames(value).filter(k => value[k] !== undefined) : [];
+    const values = value instanceof Array ? value.map(encode) : [];
+    const flat = isObject ? [].concat(...entries.map(k => [encode(k), encode(value[k])])) : values;
+    const assignments = entries.map(k => `${encode(k)}=${encode(value[k])}`);
+
+    if(query) {
+      if(style === 'deepObject') {
+        return entries.map(k => [`${name}[${k}]`, String(value[k])]);
+      }
+      if(explode && value instanceof Array) {
+        return values.map(v => [name, v]);
+      }
+      if(explode && isObject) {
+        return entries.map(k => [k, String(value[k])]);
+      }
+      const separator = {spaceDelimited: ' ', pipeDelimited: '|'}[style] || ',';
+      return [[name, value instanceof Array || isObject ? flat.join(separator) : String(value)]];
+    }
+
+    const composite = value instanceof Array || isObject;
+    switch(style) {
+      case 'label':
+        if(!composite) {
+          return `.${encode(value)}`;
+        }
+        return `.${explode ? (isObject ? assignments : values).join('.') : flat.join(',')}`;
+      case 'matrix':
+        if(!composite) {
+          return `;${name}=${encode(value)}`;
+        }
+        if(explode) {
+          return isObject ? `;${assignments.join(';')}` : values.map(v => `;${name}=${v}`).join('');
+        }
+        return `;${name}=${flat.join(',')}`;
+    }
+    if(!composite) {
+      return encode(value);
+    }
+    return explode && isObject ? assignments.join(',') : flat.join(',');
+  },
+
+  /**
+   * Find the declared media type which matches a Content-Type header value.
+   * Exact matches are preferred over subtype wildcards (such as text/plain matching text/&#42;), which are preferred over the full wildcard.
+   * @param contentType {string} - The value of a Content-Type header.
+   * @param mediaTypes {string[]} - The declared media types.
+   * @returns {string|undefined} - The matching declared media type, or undefined if none match.
+   */
+  matchMediaType: (contentType, mediaTypes) => {
+    const essence = contentType.split(';')[0].trim().toLowerCase();
+    const range = `${essence.split('/')[0]}/*`;
+    return mediaTypes.find(t => t.toLowerCase() === essence)
+      || mediaTypes.find(t => t.toLowerCase() === range)
+      || mediaTypes.find(t => t === '*/*');
+  },
+
+  /**
+   * Collect the files which were uploaded in a multipart request into an object mapped from field names.
+   * Supports the req.file and req.files properties as set by multipart parsers such as multer.
+   * Fields which received several files are mapped to an array of files.
+   * @param req {e.Request}
+   * @returns {Object.<string,*>}
+   */
+  uploadedFiles: req => {
+    const fields = {};
+    const add = file => {
+      const name = file.fieldname;
+      if(fields[name] === undefined) {
+        fields[name] = file;
+      } else if(fields[name] instanceof Array) {
+        fields[name].push(file);
+      } else {
+        fields[name] = [fields[name], file];
+      }
+    };
+    if(req.file) {
+      add(req.file);
+    }
+    if(req.files instanceof Array) {
+      req.files.forEach(add);
+    } else if(req.files) {
+      Object.getOwnPropertyNames(req.files).forEach(n => {
+        const files = req.files[n] instanceof Array ? req.files[n] : [req.files[n]];
+        files.forEach(f => add(Object.assign({fieldname: n}, f)));
+      });
+    }
+    return fields;
+  },
+
+  /**
+   * Extract the credentials for a security scheme from a request.
+   * apiKey schemes return the key, http basic returns {username, password},
+   * all other http schemes, oauth2 and openIdConnect return the token from the Authorization header.
+   * @param scheme {Object} - A security scheme object, as found in components.securitySchemes
+   * @param req {e.Request}
+   * @returns {string|{username:string,password:string}|undefined} - Returns undefined if no credentials are present.
+   */
+  getCredentials: (scheme, req) => {
+    let authorization
+    switch(scheme.type) {
+      case 'apiKey':
+        switch(scheme.in) {
+          case 'query':
+            return req.query[scheme.name] || undefined;
+          case 'header':
+            return req.get(scheme.name) || undefined;
+          case 'cookie':
+            return parseCookies(req.get('cookie'))[scheme.name] || undefined;
+        }
+        return;
+      case 'http':
+        authorization = req.get('authorization') || '';
+        if(authorization.slice(0, scheme.scheme.length + 1).toLowerCase() !== `${scheme.scheme.toLowerCase()} `) {
+          return;
+        }
+        authorization = authorization.slice(scheme.scheme.length + 1).trim();
+        if(!authorization) {
+          return;
+        }
+        if(scheme.scheme.toLowerCase() === 'basic') {
+          const decoded = Buffer.from(authorization, 'base64').toString();
+          const i = decoded.indexOf(':');
+          if(i < 0) {
+            return;
+          }
+          return {username: decoded.slice(0, i), password: decoded.slice(i + 1)};
+        }
+        return authorization;
+      case 'oauth2':
+      case 'openIdConnect':
+        authorization = req.get('authorization') || '';
+        if(authorization.slice(0, 7).toLowerCase() !== 'bearer ') {
+          return;
+        }
+        return authorization.slice(7).trim() || undefined;
+    }
+  },
+
+  /**
+   * Modify 'schema' to be compliant with Open API.
+   * Open API 3.0 schemas are rewritten to the subset of jsonschema which 3.0 supports,
+   * while Open API 3.1 schemas are rewritten as JSON Schema 2020-12.
    * @param schema {Object}
    * @param spec {oas.OpenAPI}
    * @returns {Object}
    */
   toOasSchema: (schema, spec) => {
     const s = schemaRefReplace.call(spec, schema, n => `#/components/schemas/${n}`)
+    if(spec.doc.openapi.startsWith('3.1')) {
+      toJsonSchema2020(s)
+      return s
+    }
     forAllRecursiveKeys(s, (o, k) => {
       switch(k) {
         case 'dependencies':
@@ -268,13 +1384,74 @@ module.exports = {
     return s
   },
 
+  /**
+   * Follow local references ('#/...') in a document until a non-reference object is found.
+   * @param doc {Object} - The document which contains the referenced objects.
+   * @param o {Object|undefined} - An object which may be a reference object.
+   * @returns {Object|undefined}
+   */
+  resolveRef: (doc, o) => {
+    const seen = new Set()
+    while(o && typeof o.$ref === 'string' && o.$ref.startsWith('#/')) {
+      if(seen.has(o.$ref)) {
+        throw new Error(`circular reference in document: ${o.$ref}`)
+      }
+      seen.add(o.$ref)
+      const ref = o.$ref
+      o = ref.slice(2).split('/')
+        .map(p => decodeURIComponent(p).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((parent, p) => parent === undefined ? undefined : parent[p], doc)
+      if(o === undefined) {
+        throw new Error(`missing reference in document: ${ref}`)
+      }
+    }
+    return o
+  },
+
+  /**
+   * Convert an Open API schema into a schema as accepted by this package.
+   * References to component schemas become named references (see ref()), and nullable schemas use 'x-nullable'.
+   * @param schema {Object}
+   * @returns {Object}
+   */
+  fromOasSchema: schema => {
+    const convert = o => {
+      if(o instanceof Array) {
+        return o.map(convert)
+      }
+      if(typeof o !== 'object' || o === null) {
+        return o
+      }
+      const s = {}
+      Object.getOwnPropertyNames(o).forEach(k => {
+        if(k === '$ref' && typeof o[k] === 'string' && o[k].startsWith('#/components/schemas/')) {
+          s[k] = `{${o[k].slice('#/components/schemas/'.length)}}`
+        } else if(k !== 'nullable' || typeof o[k] !== 'boolean') {
+          s[k] = convert(o[k])
+        }
+      })
+      if(o.nullable === true) {
+        const nullable = {'x-nullable': s}
+        if(s.description !== undefined) {
+          nullable.description = s.description
+          delete s.description
+        }
+        return nullable
+      }
+      return s
+    }
+    return convert(schema)
+  },
+
   /**
    * Modify 'schema' to be compliant with Jsonschema
    * @param schema {Object}
    * @param spec {oas.OpenAPI}
+   * @param mediaType {string?} - The media type of the body which the schema describes.
+   *   Binary formats are only accepted as buffers and uploaded files in multipart and raw bodies, such as application/octet-stream.
    * @returns {Object}
    */
-  toJsonschema: (schema, spec) => {
+  toJsonschema: (schema, spec, mediaType = undefined) => {
     const s = schemaRefReplace.call(spec, schema, n => `/${n}`)
     forAllRecursiveKeys(s, (o, k) => {
       if(k === 'x-nullable') {
@@ -286,7 +1463,7 @@ module.exports = {
       }
       return true
     })
-    return s
+    return binaryMediaType(mediaType) ? acceptBinary(s, spec) : s
   },
 
 };
\ No newline at end of file